@@ -261,6 +261,24 @@ export class ACBController {
         };
     }
 
+    /**
+     * Stop any running session and remove the overlay (SDK teardown)
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        const session = this.stateManager.getCurrentSession();
+        if (session && (session.status === 'active' || session.status === 'paused')) {
+            try {
+                await this.acbStop();
+            } catch (error) {
+                if (this.config.debug) {
+                    console.warn('[ACB] Error stopping session during destroy:', error);
+                }
+            }
+        }
+        this.visualFeedback.destroy();
+    }
+
     /**
      * Get current ACB status
      * @returns {Object} Status information
@@ -64,6 +64,15 @@ export function hideCursor() {
     }
 }
 
+/**
+ * Cancel pending pointer events and remove the overlay
+ */
+export function destroyPointer() {
+    if (virtualpointerInstance && virtualpointerInstance.destroy) {
+        virtualpointerInstance.destroy();
+    }
+}
+
 /**
  * Update cursor label text
  * @param {string} text - Label text to display
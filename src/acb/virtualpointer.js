@@ -530,6 +530,12 @@ var virtualpointer = function() {
         // update label text
         updateLabel: function(text) {
             update_label(text);
+        },
+        // drop pending events and remove visual cursor (SDK teardown)
+        destroy: function() {
+            event_queue = [];
+            show_visual_cursor = true;
+            remove_visual_cursor();
         }
     }
 }();
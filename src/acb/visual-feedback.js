@@ -3,7 +3,7 @@
  * Provides visual feedback (cursor, ripple effects) for ACB actions
  */
 
-import { showCursor, hideCursor, updateCursorLabel } from './virtualpointer-wrapper.js';
+import { showCursor, hideCursor, updateCursorLabel, destroyPointer } from './virtualpointer-wrapper.js';
 
 export class VisualFeedback {
     constructor() {
@@ -73,6 +73,20 @@ export class VisualFeedback {
         this._removeHighlights();
     }
 
+    /**
+     * Remove every overlay element (cursor, ripple, highlight styles)
+     */
+    destroy() {
+        this._removeHighlights();
+        destroyPointer();
+        this.isVisible = false;
+
+        const style = document.getElementById('weblayer-acb-styles');
+        if (style && style.parentNode) {
+            style.parentNode.removeChild(style);
+        }
+    }
+
     /**
      * Set cursor state to "loading..."
      */
@@ -3,6 +3,52 @@ const config = {
   debug: false,
   org_id: null,
   weblayerEnabled: true,
+  offlineQueueMaxBytes: 1024 * 1024, // 1 MB of stored events
+  offlineQueueMaxAgeMs: 24 * 60 * 60 * 1000, // 24 hours
+  compressUploads: true, // gzip batches with CompressionStream where supported
+  redaction: {
+    enabled: true,
+    detectors: ['email', 'phone', 'card', 'iban', 'token'],
+    rules: [],
+  },
+  consent: {
+    required: false, // true: start in 'pending' until consent.set() or a CMP grants it
+    respectPrivacySignals: true, // Global Privacy Control / Do-Not-Track deny analytics
+    cmp: null, // 'tcf' | 'onetrust' | 'auto'
+    oneTrustCategory: 'C0002',
+  },
+  beforeSend: null,
+  middlewareTimeoutMs: 1000,
+  sampling: {
+    sessionRate: 1,
+    events: {}, // { [event_type | 'event_type.event_name']: { rate, maxPerSession } }
+  },
+  breakpoints: { mobile: 0, tablet: 768, desktop: 1024, wide: 1440 }, // min viewport width per name, reported with click / touch positions
+  rageClick: {
+    clicks: 3,
+    windowMs: 1000,
+    radiusPx: 30,
+  },
+  session: {
+    timeoutMs: 30 * 60 * 1000, // inactivity before the session ends
+    rotateAtMidnight: true,
+    rotateOnCampaignChange: true,
+  },
+  replay: {
+    enabled: false,
+    sampleRate: 1, // fraction of (sampled) sessions recorded
+    maskAllInputs: true,
+    mouseMoveIntervalMs: 50,
+    flushIntervalMs: 5000,
+  },
+  networkCapture: {
+    rules: [], // [{ url, requestHeaders, responseHeaders, requestBody, responseBody, errorsOnly }]
+    maxBodyLength: 2048,
+  },
+  errors: {
+    maxBreadcrumbs: 20, // clicks / navigations / failed requests attached to error events
+    maxFrames: 30, // stack frames kept per error
+  },
 };
 
 export default config;
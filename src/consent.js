@@ -0,0 +1,222 @@
+import config from './config.js';
+
+/**
+ * Consent state for the SDK
+ * Each purpose is 'granted', 'denied' or 'pending':
+ * - analytics: event tracking (pending buffers events in memory, nothing is persisted or sent)
+ * - acb: Agentic Co-Browsing
+ *
+ * Sources, in order of precedence: explicit consent.set() calls, browser
+ * privacy signals (GPC, Do-Not-Track) denying analytics, CMP signals
+ * (TCF __tcfapi, OneTrust), defaults.
+ */
+
+const PURPOSES = ['analytics', 'acb'];
+
+// TCF v2 purposes required for analytics: 1 (store/access device) and 8 (measure content performance)
+const TCF_ANALYTICS_PURPOSES = [1, 8];
+
+const state = {
+  analytics: 'granted',
+  acb: 'granted'
+};
+const listeners = [];
+let explicitlySet = false;
+let signalDenied = false; // analytics denied by GPC / Do-Not-Track
+let cmpWatching = false;
+let cmpCleanups = [];
+let tcfListenerId = null;
+
+function normalize(value) {
+  if (value === true || value === 'granted') return 'granted';
+  if (value === false || value === 'denied') return 'denied';
+  return 'pending';
+}
+
+function consentConfig() {
+  return config.consent || {};
+}
+
+/**
+ * Whether the browser sends Global Privacy Control or Do-Not-Track
+ */
+export function privacySignalDetected() {
+  try {
+    if (navigator.globalPrivacyControl === true) return true;
+    const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return dnt === '1' || dnt === 'yes';
+  } catch (e) {
+    return false;
+  }
+}
+
+function apply(update, source) {
+  const prev = getConsent();
+  let changed = false;
+
+  PURPOSES.forEach(purpose => {
+    if (update[purpose] === undefined) return;
+    const next = normalize(update[purpose]);
+    if (state[purpose] !== next) {
+      state[purpose] = next;
+      changed = true;
+    }
+  });
+
+  if (!changed) return;
+  if (config.debug) console.log(`[weblayer] Consent updated (${source}):`, getConsent());
+
+  const current = getConsent();
+  listeners.slice().forEach(fn => {
+    try {
+      fn(current, prev);
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Consent listener failed:', e);
+    }
+  });
+}
+
+/**
+ * Set consent explicitly (from the host app / its consent banner)
+ * @param {Object} update - e.g. { analytics: true, acb: false }
+ */
+export function setConsent(update) {
+  if (!update || typeof update !== 'object') return;
+  explicitlySet = true;
+  apply(update, 'api');
+}
+
+/**
+ * Current consent state
+ * @returns {{analytics: string, acb: string}}
+ */
+export function getConsent() {
+  return { analytics: state.analytics, acb: state.acb };
+}
+
+export function hasConsent(purpose) {
+  return state[purpose] === 'granted';
+}
+
+export function isDenied(purpose) {
+  return state[purpose] === 'denied';
+}
+
+/**
+ * Subscribe to consent changes
+ * @param {Function} fn - Called with (current, previous) state
+ * @returns {Function} Unsubscribe function
+ */
+export function onConsentChange(fn) {
+  listeners.push(fn);
+  return () => {
+    const idx = listeners.indexOf(fn);
+    if (idx !== -1) listeners.splice(idx, 1);
+  };
+}
+
+// CMP updates never override an explicit consent.set() call, nor a privacy
+// signal denial (CMPs only decide analytics)
+function applyFromCmp(update, source) {
+  if (explicitlySet || signalDenied) return;
+  apply(update, source);
+}
+
+function watchTcf() {
+  if (typeof window.__tcfapi !== 'function') return false;
+  try {
+    window.__tcfapi('addEventListener', 2, (tcData, success) => {
+      if (!success || !tcData) return;
+      if (tcData.listenerId !== undefined && tcfListenerId === null) {
+        tcfListenerId = tcData.listenerId;
+        cmpCleanups.push(() => window.__tcfapi('removeEventListener', 2, () => {}, tcfListenerId));
+      }
+      if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return;
+
+      if (tcData.gdprApplies === false) {
+        applyFromCmp({ analytics: true }, 'tcf');
+        return;
+      }
+      const consents = (tcData.purpose && tcData.purpose.consents) || {};
+      const granted = TCF_ANALYTICS_PURPOSES.every(p => consents[p] === true);
+      applyFromCmp({ analytics: granted }, 'tcf');
+    });
+    return true;
+  } catch (e) {
+    if (config.debug) console.warn('[weblayer] Failed to read TCF consent:', e);
+    return false;
+  }
+}
+
+function watchOneTrust() {
+  const category = consentConfig().oneTrustCategory || 'C0002';
+  const fromGroups = (groups) => applyFromCmp({ analytics: groups.includes(category) }, 'onetrust');
+
+  const onUpdate = (e) => {
+    const groups = Array.isArray(e.detail) ? e.detail : String(window.OptanonActiveGroups || '').split(',');
+    fromGroups(groups);
+  };
+  window.addEventListener('OneTrustGroupsUpdated', onUpdate);
+  cmpCleanups.push(() => window.removeEventListener('OneTrustGroupsUpdated', onUpdate));
+
+  if (typeof window.OptanonActiveGroups === 'string' && window.OneTrust) {
+    fromGroups(window.OptanonActiveGroups.split(','));
+  }
+  return true;
+}
+
+function watchCmp() {
+  const cmp = consentConfig().cmp;
+  if (!cmp || cmpWatching) return;
+  cmpWatching = true;
+
+  if (cmp === 'tcf' || cmp === 'auto') {
+    // The CMP script may load after us
+    if (!watchTcf() && document.readyState !== 'complete') {
+      const onLoad = () => watchTcf();
+      window.addEventListener('load', onLoad, { once: true });
+      cmpCleanups.push(() => window.removeEventListener('load', onLoad));
+    }
+  }
+  if (cmp === 'onetrust' || cmp === 'auto') {
+    watchOneTrust();
+  }
+}
+
+/**
+ * Stop listening to CMP signals (SDK teardown)
+ */
+export function stopConsentWatchers() {
+  cmpCleanups.forEach(fn => {
+    try {
+      fn();
+    } catch (e) {
+      // CMP may already be gone
+    }
+  });
+  cmpCleanups = [];
+  cmpWatching = false;
+  tcfListenerId = null;
+}
+
+/**
+ * Compute the initial consent state from config and privacy signals,
+ * and start listening to the configured CMP
+ */
+export function initConsent() {
+  const settings = consentConfig();
+  const initial = settings.required ? 'pending' : 'granted';
+
+  if (!explicitlySet) {
+    state.analytics = initial;
+    state.acb = initial;
+
+    signalDenied = settings.respectPrivacySignals !== false && privacySignalDetected();
+    if (signalDenied) {
+      state.analytics = 'denied';
+      if (config.debug) console.log('[weblayer] Privacy signal detected, analytics disabled');
+    }
+  }
+
+  watchCmp();
+}
@@ -1,11 +1,35 @@
 import config from './config.js';
-import { getOrCreateVisitorId } from './visitor.js';
-import { initWeblayerEmitter } from './tracking/index.js';
+import { getOrCreateVisitorId, persistVisitorId, clearVisitorId, rotateVisitorId } from './visitor.js';
+import { initConsent, setConsent, getConsent, hasConsent, onConsentChange, stopConsentWatchers } from './consent.js';
+import { initWeblayerEmitter, destroyWeblayerEmitter, currentTrackedVisitorId, trackCustomEvent, identifyUser, resetIdentity } from './tracking/index.js';
+import { useMiddleware } from './tracking/middleware.js';
 import { ACBController } from './acb/index.js';
 
 // Global ACB controller instance (created when needed)
 let acbControllerInstance = null;
 
+// Visitor ID of the current init() call
+let currentVisitorId = null;
+
+// Persist the visitor ID once analytics consent is granted, remove it on
+// revoke. A revoked ID is never used again: tracking restarts with a new one.
+onConsentChange((current, prev) => {
+  if (!currentVisitorId || current.analytics === prev.analytics) return;
+  if (current.analytics === 'granted') {
+    currentVisitorId = currentTrackedVisitorId() || currentVisitorId;
+    persistVisitorId(currentVisitorId);
+  } else if (current.analytics === 'denied') {
+    clearVisitorId();
+    currentVisitorId = rotateVisitorId(false);
+  }
+});
+
+function assertAcbConsent() {
+  if (!hasConsent('acb')) {
+    throw new Error('ACB not available. Consent for ACB has not been granted.');
+  }
+}
+
 // Initialize ACB controller (will use config.org_id when set)
 function initializeACB() {
   if (!acbControllerInstance) {
@@ -35,6 +59,84 @@ class WebLayerSDK {
     throw new Error('WEBLAYERSDK not available. Make sure the SDK is loaded and WebLayerSDK.init() has been called.');
   }
 
+  /**
+   * Track a custom event, e.g. WebLayerSDK.track('plan_upgraded', { plan: 'pro' })
+   * @param {string} name - Event name (letters, digits, _ . : - and spaces)
+   * @param {Object} properties - JSON-serializable properties (size-limited)
+   * @returns {boolean} Whether the event was queued
+   */
+  static track(name, properties = {}) {
+    try {
+      return trackCustomEvent(name, properties);
+    } catch (e) {
+      if (config.debug) console.error('[weblayer] Failed to track event:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Identify the logged-in user; every following event carries user_id
+   * @param {string|number} userId - The app's user ID
+   * @param {Object} traits - JSON-serializable user traits (size-limited)
+   * @returns {boolean} Whether the identity was applied
+   */
+  static identify(userId, traits = {}) {
+    try {
+      return identifyUser(userId, traits);
+    } catch (e) {
+      if (config.debug) console.error('[weblayer] Failed to identify user:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Forget the identified user and rotate the visitor ID (call on logout)
+   */
+  static reset() {
+    try {
+      const visitorId = resetIdentity();
+      if (visitorId) currentVisitorId = visitorId;
+    } catch (e) {
+      if (config.debug) console.error('[weblayer] Failed to reset identity:', e);
+    }
+  }
+
+  /**
+   * Add an event middleware, e.g. to enrich, rewrite or drop events
+   * @param {Function} fn - (event) => event | false | null | undefined | Promise
+   * @returns {Function} Function that removes the middleware
+   */
+  static use(fn) {
+    return useMiddleware(fn);
+  }
+
+  /**
+   * Tear the SDK down: flush remaining events, restore patched globals
+   * (fetch, XHR, console, history), remove listeners, observers and timers,
+   * and remove the ACB overlay. init() can be called again afterwards.
+   * @returns {Promise<void>}
+   */
+  static async destroy() {
+    try {
+      await destroyWeblayerEmitter();
+    } catch (e) {
+      if (config.debug) console.error('[weblayer] Failed to stop tracking:', e);
+    }
+
+    stopConsentWatchers();
+
+    if (acbControllerInstance) {
+      try {
+        await acbControllerInstance.destroy();
+      } catch (e) {
+        if (config.debug) console.error('[weblayer] Failed to tear down ACB:', e);
+      }
+      acbControllerInstance = null;
+    }
+
+    currentVisitorId = null;
+  }
+
   static init(orgId, options = {}) {
     const MESSAGE = "yes";
 
@@ -49,6 +151,20 @@ class WebLayerSDK {
       config.apiUrl = options.apiUrl || config.apiUrl || 'https://api.weblayer.ai';
       config.debug = options.debug || false;
       config.weblayerEnabled = options.weblayerEnabled !== false; // Default to true
+      if (options.offlineQueueMaxBytes) config.offlineQueueMaxBytes = options.offlineQueueMaxBytes;
+      if (options.offlineQueueMaxAgeMs) config.offlineQueueMaxAgeMs = options.offlineQueueMaxAgeMs;
+      if (options.compressUploads === false) config.compressUploads = false;
+      if (options.redaction) config.redaction = Object.assign({}, config.redaction, options.redaction);
+      if (options.consent) config.consent = Object.assign({}, config.consent, options.consent);
+      if (typeof options.beforeSend === 'function') config.beforeSend = options.beforeSend;
+      if (options.middlewareTimeoutMs) config.middlewareTimeoutMs = options.middlewareTimeoutMs;
+      if (options.sampling) config.sampling = Object.assign({}, config.sampling, options.sampling);
+      if (options.breakpoints) config.breakpoints = options.breakpoints;
+      if (options.rageClick) config.rageClick = Object.assign({}, config.rageClick, options.rageClick);
+      if (options.session) config.session = Object.assign({}, config.session, options.session);
+      if (options.replay) config.replay = Object.assign({}, config.replay, options.replay);
+      if (options.networkCapture) config.networkCapture = Object.assign({}, config.networkCapture, options.networkCapture);
+      if (options.errors) config.errors = Object.assign({}, config.errors, options.errors);
 
       // Log immediately like F2F SDK
       console.log("[weblayer] WebLayer SDK initialized with org_id: ", orgId, MESSAGE);
@@ -57,8 +173,13 @@ class WebLayerSDK {
         console.log('[weblayer] API URL:', config.apiUrl);
       }
 
+      // Resolve consent (defaults, GPC / Do-Not-Track, CMP) before touching storage
+      initConsent();
+
       // Get or create visitor ID (cookie-based, cross-subdomain)
-      const visitorId = getOrCreateVisitorId();
+      // Only written to cookie/localStorage once analytics consent is granted
+      const visitorId = getOrCreateVisitorId(hasConsent('analytics'));
+      currentVisitorId = visitorId;
 
       if (!visitorId) {
         console.error('[weblayer] Failed to create visitor ID');
@@ -104,6 +225,16 @@ class WebLayerSDK {
   }
 }
 
+/**
+ * Consent API
+ * WebLayerSDK.consent.set({ analytics: true, acb: false })
+ * Values: true / 'granted', false / 'denied', or 'pending'
+ */
+WebLayerSDK.consent = {
+  set: (update) => setConsent(update),
+  get: () => getConsent()
+};
+
 // Helper function to handle initialization (F2F-style)
 function initializeSDK() {
   if (!window._weblayerInitialized) {
@@ -158,8 +289,19 @@ if (typeof window !== 'undefined') {
   // Initialize WEBLAYERSDK namespace for ACB methods
   window.WEBLAYERSDK = window.WEBLAYERSDK || {};
 
+  // Expose consent API
+  window.WEBLAYERSDK.consent = WebLayerSDK.consent;
+
+  // Expose custom event tracking and identity
+  window.WEBLAYERSDK.track = (name, properties) => WebLayerSDK.track(name, properties);
+  window.WEBLAYERSDK.identify = (userId, traits) => WebLayerSDK.identify(userId, traits);
+  window.WEBLAYERSDK.reset = () => WebLayerSDK.reset();
+  window.WEBLAYERSDK.use = (fn) => WebLayerSDK.use(fn);
+  window.WEBLAYERSDK.destroy = () => WebLayerSDK.destroy();
+
   // Expose ACB methods (they'll initialize the controller when called)
   window.WEBLAYERSDK.acb = async (prompt, mode = 'act') => {
+    assertAcbConsent();
     const controller = initializeACB();
     if (!controller) {
       throw new Error('ACB not available. Make sure WebLayerSDK.init() has been called with an orgId.');
@@ -0,0 +1,164 @@
+import { getStoredAttribution, storeAttribution } from '../visitor.js';
+import { redactUrl } from './redaction.js';
+
+/**
+ * Campaign attribution
+ * Each new session is a "touch": its campaign parameters (utm_*, ad click IDs)
+ * and its referrer, classified as search, social, email, referral, internal
+ * or direct. The first and the last touch of a visitor are stored next to the
+ * visitor ID and reported on `session` / `session_start` as
+ * `attribution: { touch, first_touch, last_touch }`.
+ *
+ * Last touch follows the "last non-direct" model: visits without campaign
+ * parameters that come from the site itself or from nowhere (typed URL,
+ * bookmark) don't replace an earlier source.
+ */
+
+export const CAMPAIGN_PARAMS = [
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id',
+  'gclid', 'gbraid', 'wbraid', 'dclid', 'fbclid', 'msclkid', 'ttclid', 'twclid', 'li_fat_id'
+];
+
+// Ad click ID -> the network it comes from
+const CLICK_IDS = {
+  gclid: 'google', gbraid: 'google', wbraid: 'google', dclid: 'google',
+  fbclid: 'facebook', msclkid: 'bing', ttclid: 'tiktok', twclid: 'twitter', li_fat_id: 'linkedin'
+};
+
+// Matched against the referrer hostname (and its parent domains)
+const SEARCH_HOSTS = /(^|\.)(google\.[a-z.]+|bing\.com|yahoo\.[a-z.]+|duckduckgo\.com|baidu\.com|yandex\.[a-z.]+|ecosia\.org|search\.brave\.com|startpage\.com|naver\.com|ask\.com|qwant\.com)$/;
+const SOCIAL_HOSTS = /(^|\.)(facebook\.com|fb\.com|instagram\.com|t\.co|twitter\.com|x\.com|linkedin\.com|lnkd\.in|reddit\.com|pinterest\.[a-z.]+|youtube\.com|tiktok\.com|snapchat\.com|threads\.net|whatsapp\.com|telegram\.org|vk\.com|weibo\.com)$/;
+// Checked before SEARCH_HOSTS: webmail lives on search engine domains
+const EMAIL_HOSTS = /(^|\.)(mail\.google\.com|outlook\.live\.com|outlook\.office\.com|outlook\.office365\.com|mail\.yahoo\.com|mail\.proton\.me|mail\.aol\.com|mail\.zoho\.com)$/;
+const EMAIL_MEDIUM = /^(e-?mail|newsletter)$/i;
+const PAID_MEDIUM = /^(cpc|ppc|paid|paidsearch|paid_social|paidsocial|display|cpm|banner)$/i;
+
+let lastRecord = null; // kept until it can be stored (consent pending)
+let touchedThisPage = false; // document.referrer only describes the first session of a page load
+
+// Full hostnames are compared: the last two labels aren't a site
+// (a.co.uk and b.co.uk are unrelated). www. and parent domains of the page
+// (example.com -> app.example.com) count as the same site, siblings don't.
+function sameSite(referrerHostname, pageHostname) {
+  const ref = referrerHostname.replace(/^www\./, '');
+  const page = pageHostname.replace(/^www\./, '');
+  return ref === page || page.endsWith('.' + ref);
+}
+
+function referrerHost(referrer) {
+  try {
+    return referrer ? new URL(referrer).hostname.toLowerCase() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Classify a referrer
+ * @param {string|null} referrer - document.referrer
+ * @param {string} pageUrl - Current page (decides what counts as internal)
+ * @returns {'search'|'social'|'email'|'referral'|'internal'|'direct'}
+ */
+export function classifyReferrer(referrer, pageUrl) {
+  const host = referrerHost(referrer);
+  if (!host) return 'direct';
+  try {
+    if (sameSite(host, new URL(pageUrl).hostname.toLowerCase())) return 'internal';
+  } catch (e) {
+    // Unparseable page URL: fall through
+  }
+  if (EMAIL_HOSTS.test(host)) return 'email';
+  if (SEARCH_HOSTS.test(host)) return 'search';
+  if (SOCIAL_HOSTS.test(host)) return 'social';
+  return 'referral';
+}
+
+/**
+ * Campaign parameters of a URL
+ * @param {string} url - Landing page URL
+ * @returns {Object} { utm_source: '...', gclid: '...', ... } (only those present)
+ */
+export function parseCampaign(url) {
+  const out = {};
+  try {
+    const params = new URL(url).searchParams;
+    CAMPAIGN_PARAMS.forEach(name => {
+      const value = params.get(name);
+      if (value) out[name] = value.slice(0, 200);
+    });
+  } catch (e) {
+    // Not a URL
+  }
+  return out;
+}
+
+/**
+ * Attribution of the current visit
+ * @param {string} pageUrl - Landing page URL
+ * @param {string|null} referrer - document.referrer
+ * @returns {Object} Touch
+ */
+export function currentTouch(pageUrl, referrer) {
+  const campaign = parseCampaign(pageUrl);
+  const clickIdName = Object.keys(CLICK_IDS).find(name => campaign[name]) || null;
+  const referrerType = classifyReferrer(referrer, pageUrl);
+  const host = referrerType === 'direct' || referrerType === 'internal' ? null : referrerHost(referrer);
+
+  let medium = campaign.utm_medium || null;
+  if (!medium && clickIdName) medium = 'cpc';
+  if (!medium && host) medium = referrerType === 'search' ? 'organic' : referrerType;
+
+  let channel = referrerType;
+  if (medium && EMAIL_MEDIUM.test(medium)) channel = 'email';
+
+  return {
+    ts: new Date().toISOString(),
+    source: campaign.utm_source || (clickIdName ? CLICK_IDS[clickIdName] : null) || host,
+    medium: medium,
+    campaign: campaign.utm_campaign || null,
+    term: campaign.utm_term || null,
+    content: campaign.utm_content || null,
+    campaign_id: campaign.utm_id || null,
+    click_id: clickIdName ? { type: clickIdName, value: campaign[clickIdName] } : null,
+    paid: !!clickIdName || (!!medium && PAID_MEDIUM.test(medium)),
+    channel: channel,
+    referrer_host: host,
+    landing_page: redactUrl(pageUrl, CAMPAIGN_PARAMS) // also stored, so redacted here
+  };
+}
+
+// Direct and internal visits without campaign parameters carry no source
+function hasSource(touch) {
+  return !!(touch.source || touch.campaign || touch.click_id);
+}
+
+/**
+ * Record a touch for the visitor and return what session_start reports
+ * @param {string} visitorId - Current visitor
+ * @param {boolean} persist - Store the result (analytics consent granted)
+ * @returns {{touch: Object, first_touch: Object, last_touch: Object}}
+ */
+export function recordTouch(visitorId, persist) {
+  // Later sessions of the same page load (rotated after inactivity, at
+  // midnight, ...) start on the site itself: internal, unless the URL now
+  // carries campaign parameters
+  const referrer = touchedThisPage ? window.location.href : document.referrer || null;
+  touchedThisPage = true;
+  const touch = currentTouch(window.location.href, referrer);
+  const stored = getStoredAttribution();
+  const known = stored && stored.visitor_id === visitorId ? stored : null;
+
+  const record = {
+    visitor_id: visitorId,
+    first_touch: known && known.first_touch ? known.first_touch : touch,
+    last_touch: known && known.last_touch && !hasSource(touch) ? known.last_touch : touch
+  };
+  lastRecord = record;
+  if (persist) storeAttribution(record);
+  return { touch: touch, first_touch: record.first_touch, last_touch: record.last_touch };
+}
+
+/** Store the latest record (once analytics consent is granted) */
+export function persistAttribution() {
+  if (lastRecord) storeAttribution(lastRecord);
+}
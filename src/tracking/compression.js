@@ -0,0 +1,129 @@
+/**
+ * gzip compression for uploads (CompressionStream)
+ * Runs in a small worker when one can be started (blob: workers may be blocked
+ * by CSP), on the main thread otherwise. Without CompressionStream, gzip()
+ * resolves to null and callers send the body uncompressed.
+ */
+
+// A worker that hasn't answered by then is considered broken
+const WORKER_TIMEOUT_MS = 5000;
+
+const WORKER_SOURCE = `self.onmessage = function (e) {
+  new Response(new Blob([e.data.text]).stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer().then(
+    function (buffer) { self.postMessage({ id: e.data.id, buffer: buffer }, [buffer]); },
+    function () { self.postMessage({ id: e.data.id, buffer: null }); }
+  );
+};`;
+
+let worker = null;
+let workerUrl = null;
+let workerFailed = false;
+let nextJobId = 0;
+const jobs = new Map(); // id -> { text, resolve, timer }
+
+// Compressed / uncompressed size of recent payloads (null until something was compressed)
+let ratio = null;
+
+export function supportsCompression() {
+  return typeof CompressionStream === 'function' && typeof Response === 'function' && typeof Blob === 'function';
+}
+
+function compressInline(text) {
+  try {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).arrayBuffer().then(buffer => new Uint8Array(buffer), () => null);
+  } catch (e) {
+    return Promise.resolve(null);
+  }
+}
+
+// Give up on the worker: pending jobs are redone on the main thread
+function abandonWorker() {
+  workerFailed = true;
+  stopCompressionWorker();
+}
+
+function startWorker() {
+  if (worker || workerFailed) return worker;
+  try {
+    if (typeof Worker !== 'function' || typeof URL.createObjectURL !== 'function') throw new Error('unsupported');
+    workerUrl = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+    worker = new Worker(workerUrl);
+    worker.onmessage = (e) => {
+      const job = jobs.get(e.data && e.data.id);
+      if (!job) return;
+      jobs.delete(e.data.id);
+      clearTimeout(job.timer);
+      job.resolve(e.data.buffer ? new Uint8Array(e.data.buffer) : null);
+    };
+    worker.onerror = abandonWorker;
+  } catch (e) {
+    // Workers unavailable or blocked (CSP)
+    workerFailed = true;
+    worker = null;
+  }
+  return worker;
+}
+
+function recordRatio(text, compressed) {
+  if (!compressed || !text.length) return;
+  const current = compressed.length / text.length;
+  ratio = ratio === null ? current : ratio * 0.7 + current * 0.3;
+}
+
+/**
+ * gzip a string
+ * @param {string} text - Payload
+ * @returns {Promise<Uint8Array|null>} Compressed bytes, or null when compression isn't available
+ */
+export function gzip(text) {
+  if (!supportsCompression()) return Promise.resolve(null);
+  const w = startWorker();
+  const compressed = !w ? compressInline(text) : new Promise((resolve) => {
+    const id = ++nextJobId;
+    const timer = setTimeout(abandonWorker, WORKER_TIMEOUT_MS);
+    jobs.set(id, { text, resolve, timer });
+    try {
+      w.postMessage({ id, text });
+    } catch (e) {
+      abandonWorker();
+    }
+  });
+  return compressed.then((bytes) => {
+    recordRatio(text, bytes);
+    return bytes;
+  });
+}
+
+/**
+ * Expected size of a payload once compressed, from the ratio seen on recent
+ * uploads (the uncompressed size until the first one was compressed)
+ * An estimate for deciding when to flush: the real size is only known once
+ * the body is compressed (see prepareBatch in transport.js).
+ * @param {number} bytes - Uncompressed size
+ * @returns {number}
+ */
+export function compressedSize(bytes) {
+  return ratio === null ? bytes : Math.ceil(bytes * ratio);
+}
+
+/**
+ * Terminate the worker; jobs still running finish on the main thread
+ */
+export function stopCompressionWorker() {
+  if (worker) {
+    try {
+      worker.terminate();
+    } catch (e) {
+      // Ignore
+    }
+  }
+  worker = null;
+  if (workerUrl) URL.revokeObjectURL(workerUrl);
+  workerUrl = null;
+  jobs.forEach((job) => {
+    clearTimeout(job.timer);
+    compressInline(job.text).then(job.resolve);
+  });
+  jobs.clear();
+}
@@ -0,0 +1,276 @@
+/**
+ * WebSocket, EventSource and navigator.sendBeacon tracking
+ * Connections are reported when they open, fail and close, with durations,
+ * close codes and aggregated message counts / byte totals. Message payloads
+ * are never read beyond their size.
+ *
+ * Events (passed to the emit callback as event_type, event_name, event_data):
+ * - websocket: open | error | close
+ * - eventsource: open | error | close
+ * - beacon: send
+ * Connections still open at pagehide get an `active` report with their totals.
+ */
+
+// Own uploads are never tracked
+const OWN_ENDPOINT = '/sdk/events';
+
+const encoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+
+function now() {
+  return performance.now();
+}
+
+function byteSize(data) {
+  if (data === null || data === undefined) return 0;
+  if (typeof data === 'string') {
+    return encoder ? encoder.encode(data).length : data.length;
+  }
+  if (typeof data.byteLength === 'number') return data.byteLength; // ArrayBuffer, typed arrays, DataView
+  if (typeof data.size === 'number') return data.size; // Blob
+  if (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) return byteSize(data.toString());
+  return 0;
+}
+
+function urlString(url) {
+  return url && typeof url === 'object' && url.href ? url.href : String(url);
+}
+
+// Wrapper constructors inherit from the native one: statics (OPEN, ...),
+// instanceof, `socket.constructor === window.WebSocket` and app subclasses
+function inherit(Wrapper, Native) {
+  Wrapper.prototype = Object.create(Native.prototype, {
+    constructor: { value: Wrapper, writable: true, configurable: true }
+  });
+  Object.setPrototypeOf(Wrapper, Native);
+  return Wrapper;
+}
+
+/**
+ * @param {Function} emit - (eventType, eventName, eventData) => void
+ * @returns {{wrapWebSocket: Function, wrapEventSource: Function, wrapSendBeacon: Function, report: Function, destroy: Function}}
+ */
+export function createConnectionMonitor(emit) {
+  const live = new Set(); // stats of connections that haven't closed yet
+  const untrackers = new Map(); // stats -> undo the per-connection overrides and listeners
+
+  function newStats(type, url, extra) {
+    const stats = Object.assign({
+      type: type,
+      url: url,
+      created: now(),
+      opened: null,
+      messages_sent: 0,
+      messages_received: 0,
+      bytes_sent: 0,
+      bytes_received: 0
+    }, extra || {});
+    live.add(stats);
+    return stats;
+  }
+
+  function totals(stats) {
+    const data = {
+      url: stats.url,
+      duration_ms: Math.round(now() - (stats.opened !== null ? stats.opened : stats.created)),
+      messages_received: stats.messages_received,
+      bytes_received: stats.bytes_received
+    };
+    if (stats.type === 'websocket') {
+      data.messages_sent = stats.messages_sent;
+      data.bytes_sent = stats.bytes_sent;
+    }
+    return data;
+  }
+
+  function report(stats, name, extra) {
+    try {
+      const base = name === 'open' ? { url: stats.url } : totals(stats);
+      emit(stats.type, name, Object.assign(base, extra || {}));
+    } catch (e) {
+      // Tracking must never break the connection
+    }
+  }
+
+  function untrack(stats) {
+    const undo = untrackers.get(stats);
+    untrackers.delete(stats);
+    live.delete(stats);
+    if (undo) undo();
+  }
+
+  function trackWebSocket(socket, stats) {
+    const nativeSend = socket.send;
+    const send = function(data) {
+      // send() throws while CONNECTING; only count what was accepted
+      const result = nativeSend.apply(this, arguments);
+      stats.messages_sent++;
+      stats.bytes_sent += byteSize(data);
+      return result;
+    };
+    socket.send = send;
+
+    const listeners = {
+      open: () => {
+        stats.opened = now();
+        report(stats, 'open', { protocol: socket.protocol || null, connect_ms: Math.round(stats.opened - stats.created) });
+      },
+      message: (e) => {
+        stats.messages_received++;
+        stats.bytes_received += byteSize(e.data);
+      },
+      error: () => {
+        report(stats, 'error', { ready_state: socket.readyState, was_open: stats.opened !== null });
+      },
+      close: (e) => {
+        untrack(stats);
+        report(stats, 'close', {
+          code: e.code,
+          reason: e.reason || null,
+          was_clean: e.wasClean,
+          was_open: stats.opened !== null
+        });
+      }
+    };
+    Object.keys(listeners).forEach(type => socket.addEventListener(type, listeners[type]));
+
+    untrackers.set(stats, () => {
+      if (socket.send === send) delete socket.send; // back to WebSocket.prototype.send
+      Object.keys(listeners).forEach(type => socket.removeEventListener(type, listeners[type]));
+    });
+  }
+
+  function trackEventSource(source, stats) {
+    const counted = new Set(['message']);
+    const countMessage = (e) => {
+      stats.messages_received++;
+      stats.bytes_received += byteSize(e.data);
+    };
+
+    // Named events (`event: foo`) only reach listeners registered for them
+    const nativeAddEventListener = source.addEventListener;
+    const addEventListener = function(type) {
+      if (typeof type === 'string' && !counted.has(type) && type !== 'open' && type !== 'error') {
+        counted.add(type);
+        nativeAddEventListener.call(this, type, countMessage);
+      }
+      return nativeAddEventListener.apply(this, arguments);
+    };
+    source.addEventListener = addEventListener;
+
+    const nativeClose = source.close;
+    const close = function() {
+      const wasClosed = source.readyState === 2;
+      const result = nativeClose.apply(this, arguments);
+      if (!wasClosed && live.has(stats)) {
+        untrack(stats);
+        report(stats, 'close', { closed_by: 'client', reconnects: stats.reconnects });
+      }
+      return result;
+    };
+    source.close = close;
+
+    const onOpen = () => {
+      const since = stats.failing !== null ? stats.failing : stats.created;
+      if (stats.opened !== null) stats.reconnects++;
+      stats.opened = now();
+      stats.failing = null;
+      report(stats, 'open', { connect_ms: Math.round(stats.opened - since), reconnects: stats.reconnects });
+    };
+    const onError = () => {
+      // CONNECTING: the browser retries; CLOSED: it gave up for good
+      if (source.readyState === 2) {
+        if (!live.has(stats)) return;
+        untrack(stats);
+        report(stats, 'close', { closed_by: 'error', reconnects: stats.reconnects });
+        return;
+      }
+      // Report the drop once, not every failed reconnect attempt
+      if (stats.failing !== null) return;
+      stats.failing = now();
+      report(stats, 'error', { ready_state: source.readyState, was_open: stats.opened !== null });
+    };
+    nativeAddEventListener.call(source, 'message', countMessage);
+    nativeAddEventListener.call(source, 'open', onOpen);
+    nativeAddEventListener.call(source, 'error', onError);
+
+    untrackers.set(stats, () => {
+      // Back to EventSource.prototype
+      if (source.addEventListener === addEventListener) delete source.addEventListener;
+      if (source.close === close) delete source.close;
+      counted.forEach(type => source.removeEventListener(type, countMessage));
+      source.removeEventListener('open', onOpen);
+      source.removeEventListener('error', onError);
+    });
+  }
+
+  return {
+    /**
+     * Wrap the WebSocket constructor; sockets are native instances built with
+     * the caller's prototype (subclasses of window.WebSocket keep their methods)
+     */
+    wrapWebSocket(NativeWebSocket) {
+      function WebSocket(url) {
+        const socket = Reflect.construct(NativeWebSocket, arguments, new.target || WebSocket);
+        try {
+          trackWebSocket(socket, newStats('websocket', urlString(url)));
+        } catch (e) {
+          // Ignore
+        }
+        return socket;
+      }
+      return inherit(WebSocket, NativeWebSocket);
+    },
+
+    /**
+     * Wrap the EventSource constructor
+     */
+    wrapEventSource(NativeEventSource) {
+      function EventSource(url) {
+        const source = Reflect.construct(NativeEventSource, arguments, new.target || EventSource);
+        try {
+          trackEventSource(source, newStats('eventsource', urlString(url), { reconnects: 0, failing: null }));
+        } catch (e) {
+          // Ignore
+        }
+        return source;
+      }
+      return inherit(EventSource, NativeEventSource);
+    },
+
+    /**
+     * Wrap navigator.sendBeacon (called with navigator as this)
+     */
+    wrapSendBeacon(nativeSendBeacon) {
+      return function sendBeacon(url, data) {
+        const queued = nativeSendBeacon.apply(this, arguments);
+        try {
+          const target = urlString(url);
+          if (!target.includes(OWN_ENDPOINT)) {
+            emit('beacon', 'send', { url: target, bytes: byteSize(data), queued: !!queued });
+          }
+        } catch (e) {
+          // Ignore
+        }
+        return queued;
+      };
+    },
+
+    /**
+     * Report totals of connections that are still open (at pagehide)
+     */
+    report() {
+      live.forEach(stats => {
+        if (stats.opened !== null) report(stats, 'active');
+      });
+    },
+
+    /**
+     * Stop tracking: per-connection overrides and listeners are removed
+     * (the connections themselves stay open)
+     */
+    destroy() {
+      Array.from(untrackers.keys()).forEach(untrack);
+      live.clear();
+    }
+  };
+}
@@ -0,0 +1,235 @@
+import { hasConsent } from '../consent.js';
+
+/**
+ * Device, browser and locale context
+ * Sent as `context.device` in the batch envelope, once per session (the first
+ * batch that is delivered for a session carries it).
+ *
+ * Browser / OS / device class come from User-Agent Client Hints where the
+ * browser supports them (high-entropy values such as the OS version arrive
+ * asynchronously) and from the User-Agent string otherwise.
+ */
+
+export const SDK_VERSION = process.env.SDK_VERSION || null;
+
+const SENT_KEY = 'weblayer_device_sessions';
+const MAX_SENT_SESSIONS = 10;
+
+const HIGH_ENTROPY_HINTS = ['platformVersion', 'model', 'fullVersionList'];
+
+// UA string patterns, most specific first (Edge and Opera also say Chrome, Chrome also says Safari)
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|OPT)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari\//]
+];
+
+// Client Hints brands that aren't the browser itself
+const GENERIC_BRANDS = /Not.?A.?Brand|Chromium/i;
+
+let cached = null;
+let sentSessions = null;
+
+function majorMinor(version) {
+  return version ? version.split('.').slice(0, 2).join('.') : null;
+}
+
+function parseOs(ua) {
+  let m = /Windows NT ([\d.]+)/.exec(ua);
+  if (m) return { name: 'Windows', version: m[1] === '10.0' ? '10' : m[1] };
+  m = /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/.exec(ua);
+  if (m) return { name: 'iOS', version: m[1].replace(/_/g, '.') };
+  m = /Android ([\d.]+)/.exec(ua);
+  if (m) return { name: 'Android', version: m[1] };
+  m = /Mac OS X ([\d_.]+)/.exec(ua);
+  if (m) return { name: 'macOS', version: m[1].replace(/_/g, '.') };
+  if (/CrOS/.test(ua)) return { name: 'ChromeOS', version: null };
+  if (/Linux/.test(ua)) return { name: 'Linux', version: null };
+  return { name: null, version: null };
+}
+
+function parseUserAgent(ua, maxTouchPoints) {
+  let browser = { name: null, version: null };
+  for (let i = 0; i < BROWSERS.length; i++) {
+    const m = BROWSERS[i][1].exec(ua);
+    if (m) {
+      browser = { name: BROWSERS[i][0], version: majorMinor(m[1]) };
+      break;
+    }
+  }
+  const os = parseOs(ua);
+
+  let deviceClass = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) deviceClass = 'tablet';
+  else if (/Mobi|iPhone|iPod/.test(ua)) deviceClass = 'mobile';
+  else if (os.name === 'macOS' && maxTouchPoints > 1) {
+    // iPadOS asks for desktop sites and reports itself as a Mac
+    deviceClass = 'tablet';
+    os.name = 'iOS';
+    os.version = null;
+  }
+  return { browser, os, device_class: deviceClass, device_model: null, source: 'user_agent' };
+}
+
+function brandOf(brands) {
+  const list = (brands || []).filter(b => b && b.brand && !GENERIC_BRANDS.test(b.brand));
+  const brand = list[0] || (brands || []).find(b => b && /Chromium/i.test(b.brand));
+  if (!brand) return { name: null, version: null };
+  return { name: brand.brand.replace(/^Google /, '').replace(/^Microsoft /, ''), version: majorMinor(brand.version) };
+}
+
+function fromClientHints(data, high) {
+  const os = { name: data.platform || null, version: null };
+  if (os.name === 'macOS' || os.name === 'Mac OS X') os.name = 'macOS';
+  if (high && high.platformVersion) {
+    // Windows 11 reports platformVersion 13 and above
+    os.version = os.name === 'Windows'
+      ? (parseInt(high.platformVersion, 10) >= 13 ? '11' : '10')
+      : majorMinor(high.platformVersion);
+  }
+  // Android without the mobile hint: tablets (and foldables in tablet mode)
+  let deviceClass = data.mobile ? 'mobile' : 'desktop';
+  if (!data.mobile && os.name === 'Android') deviceClass = 'tablet';
+  return {
+    browser: brandOf(high && high.fullVersionList ? high.fullVersionList : data.brands),
+    os: os,
+    device_class: deviceClass,
+    device_model: (high && high.model) || null,
+    source: 'client_hints'
+  };
+}
+
+function mediaMatches(query) {
+  try {
+    return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+  } catch (e) {
+    return false;
+  }
+}
+
+function timezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function connectionInfo() {
+  const c = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+  if (!c) return null;
+  return {
+    effective_type: c.effectiveType || null,
+    type: c.type || null,
+    downlink_mbps: typeof c.downlink === 'number' ? c.downlink : null,
+    rtt_ms: typeof c.rtt === 'number' ? c.rtt : null,
+    save_data: !!c.saveData
+  };
+}
+
+function collect(high) {
+  const maxTouchPoints = navigator.maxTouchPoints || 0;
+  const uaData = navigator.userAgentData;
+  const platform = uaData && uaData.brands && uaData.brands.length
+    ? fromClientHints(uaData, high)
+    : parseUserAgent(navigator.userAgent || '', maxTouchPoints);
+  const screenInfo = window.screen || {};
+  let colorScheme = null;
+  if (mediaMatches('(prefers-color-scheme: dark)')) colorScheme = 'dark';
+  else if (mediaMatches('(prefers-color-scheme: light)')) colorScheme = 'light';
+
+  return {
+    sdk_version: SDK_VERSION,
+    browser: platform.browser,
+    os: platform.os,
+    device_class: platform.device_class,
+    device_model: platform.device_model,
+    ua_source: platform.source,
+    screen: {
+      width: screenInfo.width || null,
+      height: screenInfo.height || null,
+      dpr: window.devicePixelRatio || 1,
+      color_depth: screenInfo.colorDepth || null
+    },
+    touch_points: maxTouchPoints,
+    language: navigator.language || null,
+    languages: navigator.languages ? Array.prototype.slice.call(navigator.languages, 0, 5) : null,
+    timezone: timezone(),
+    timezone_offset_min: -new Date().getTimezoneOffset(),
+    connection: connectionInfo(),
+    prefers_reduced_motion: mediaMatches('(prefers-reduced-motion: reduce)'),
+    prefers_color_scheme: colorScheme
+  };
+}
+
+/**
+ * Collect the context now and ask for high-entropy Client Hints
+ * (the context is updated when they arrive)
+ */
+export function startDeviceContext() {
+  cached = collect(null);
+  const uaData = navigator.userAgentData;
+  if (!uaData || typeof uaData.getHighEntropyValues !== 'function') return;
+  try {
+    uaData.getHighEntropyValues(HIGH_ENTROPY_HINTS).then((high) => {
+      cached = collect(high);
+    }, () => {});
+  } catch (e) {
+    // Ignore
+  }
+}
+
+function loadSent() {
+  if (sentSessions) return sentSessions;
+  try {
+    sentSessions = JSON.parse(sessionStorage.getItem(SENT_KEY) || '[]');
+    if (!Array.isArray(sentSessions)) sentSessions = [];
+  } catch (e) {
+    sentSessions = [];
+  }
+  return sentSessions;
+}
+
+/**
+ * Device context for a batch, when one of its sessions hasn't had it delivered yet
+ * @param {Array<Object>} events - Batch
+ * @returns {Object|null}
+ */
+export function deviceContextFor(events) {
+  const sent = loadSent();
+  const needed = events.some(ev => ev.session_id && !sent.includes(ev.session_id));
+  if (!needed) return null;
+  if (!cached) cached = collect(null);
+  return cached;
+}
+
+/** Forget which sessions had their device context delivered (consent revoked) */
+export function clearDeviceContextSent() {
+  sentSessions = null;
+  try {
+    sessionStorage.removeItem(SENT_KEY);
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
+
+/**
+ * Remember that the sessions of a delivered batch have their device context
+ * @param {Array<Object>} events - Batch
+ */
+export function markDeviceContextSent(events) {
+  const sent = loadSent();
+  events.forEach(ev => {
+    if (ev.session_id && !sent.includes(ev.session_id)) sent.push(ev.session_id);
+  });
+  if (sent.length > MAX_SENT_SESSIONS) sent.splice(0, sent.length - MAX_SENT_SESSIONS);
+  if (!hasConsent('analytics')) return;
+  try {
+    sessionStorage.setItem(SENT_KEY, JSON.stringify(sent));
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Error details: stack traces, grouping and breadcrumbs
+ * - parseStack(): Chrome / Firefox / Safari stack strings -> structured frames
+ * - errorFingerprint(): stable ID for "the same error" (type, normalized
+ *   message and top frames), so repeats can be counted instead of re-sent
+ * - createErrorGrouper(): sends the first occurrence of each fingerprint and
+ *   counts the rest for periodic `error` / `repeated` summaries
+ * - createBreadcrumbTrail(): the last N clicks, navigations and failed
+ *   requests, attached to error events
+ */
+
+const DEFAULT_MAX_FRAMES = 30;
+const DEFAULT_MAX_BREADCRUMBS = 20;
+const FINGERPRINT_FRAMES = 5; // Top frames that identify an error
+const MAX_GROUPS = 100; // Fingerprints counted at once; the least recently seen is dropped
+
+// Chrome / Edge / Node: "    at fn (https://x/app.js:10:5)" or "    at https://x/app.js:10:5"
+const V8_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+// Firefox / Safari: "fn@https://x/app.js:10:5" or "@https://x/app.js:10:5"
+const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Parse a stack trace into frames, innermost first
+ * @param {string} stack - Error.prototype.stack
+ * @param {number} maxFrames - Frames kept (the innermost ones)
+ * @returns {Array<{function: string|null, file: string, line: number, column: number}>}
+ */
+export function parseStack(stack, maxFrames) {
+  if (typeof stack !== 'string' || !stack) return [];
+  const max = maxFrames > 0 ? maxFrames : DEFAULT_MAX_FRAMES;
+  const frames = [];
+  const lines = stack.split('\n');
+  for (let i = 0; i < lines.length && frames.length < max; i++) {
+    const match = V8_FRAME.exec(lines[i]) || GECKO_FRAME.exec(lines[i]);
+    if (!match) continue; // message line, "[native code]", ...
+    let file = match[2].replace(/^async /, ''); // "at async https://x/app.js:1:2"
+    // "eval at fn (https://x/app.js:1:2), <anonymous>" -> the evaluating script
+    const evalOrigin = /\((\S+?):\d+:\d+\)/.exec(file);
+    if (evalOrigin) file = evalOrigin[1];
+    frames.push({
+      function: (match[1] || '').replace(/^async /, '') || null,
+      file: file,
+      line: parseInt(match[3], 10),
+      column: parseInt(match[4], 10)
+    });
+  }
+  return frames;
+}
+
+/**
+ * Name, message and stack of whatever was thrown / rejected
+ * @param {*} error - Error, or any other thrown value
+ * @returns {{type: string|null, message: string, stack: string|null}}
+ */
+export function describeError(error) {
+  if (error && typeof error === 'object') {
+    return {
+      type: typeof error.name === 'string' ? error.name : null,
+      message: typeof error.message === 'string' ? error.message : String(error),
+      stack: typeof error.stack === 'string' ? error.stack : null
+    };
+  }
+  return { type: null, message: String(error), stack: null };
+}
+
+// FNV-1a 32-bit hash as hex
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// Drop the parts of a message that vary between occurrences (IDs, numbers, quoted values)
+function normalizeMessage(message) {
+  return String(message || '')
+    .replace(/(["'`]).*?\1/g, '<s>')
+    .replace(/\b[0-9a-f]{8,}\b/gi, '<id>')
+    .replace(/\d+/g, '<n>')
+    .slice(0, 300);
+}
+
+// Path without query / hash: cache-busting parameters don't make a new error
+function framePath(file) {
+  return String(file || '').split(/[?#]/)[0];
+}
+
+/**
+ * Fingerprint for grouping repeated errors
+ * @param {string|null} type - Error name (TypeError, ...)
+ * @param {string} message - Error message
+ * @param {Array} frames - Frames from parseStack()
+ * @param {string} fallbackLocation - Used when there are no frames (e.g. filename:lineno)
+ * @returns {string} 8 hex characters
+ */
+export function errorFingerprint(type, message, frames, fallbackLocation) {
+  const location = frames && frames.length
+    ? frames.slice(0, FINGERPRINT_FRAMES).map(f => `${f.function || '?'}@${framePath(f.file)}:${f.line}`).join('|')
+    : (fallbackLocation || '');
+  return hash(`${type || 'Error'}|${normalizeMessage(message)}|${location}`);
+}
+
+/**
+ * Count errors by fingerprint
+ * @returns {{record: Function, takeRepeats: Function, destroy: Function}}
+ */
+export function createErrorGrouper() {
+  let groups = new Map(); // fingerprint -> { message, count, reported, first_seen, last_seen }, least recently seen first
+
+  // Make room for a new fingerprint, preferring groups without unreported repeats
+  function evict() {
+    let victim = null;
+    for (const [fingerprint, group] of groups) {
+      if (group.count === group.reported) {
+        victim = fingerprint;
+        break;
+      }
+    }
+    groups.delete(victim !== null ? victim : groups.keys().next().value);
+  }
+
+  return {
+    /**
+     * Count an occurrence
+     * @param {string} fingerprint - From errorFingerprint()
+     * @param {string} message - Shown in repeat summaries
+     * @returns {boolean} true for the first occurrence (send it), false for repeats
+     */
+    record(fingerprint, message) {
+      const now = Date.now();
+      const group = groups.get(fingerprint);
+      if (group) {
+        group.count++;
+        group.last_seen = now;
+        groups.delete(fingerprint);
+        groups.set(fingerprint, group);
+        return false;
+      }
+      if (groups.size >= MAX_GROUPS) evict();
+      groups.set(fingerprint, { message: message, count: 1, reported: 1, first_seen: now, last_seen: now });
+      return true;
+    },
+
+    /**
+     * Repeats counted since the last call
+     * @returns {Array<{fingerprint: string, message: string, count: number, total: number, first_seen: string, last_seen: string}>}
+     */
+    takeRepeats() {
+      const repeats = [];
+      groups.forEach((group, fingerprint) => {
+        if (group.count === group.reported) return;
+        repeats.push({
+          fingerprint: fingerprint,
+          message: group.message,
+          count: group.count - group.reported,
+          total: group.count,
+          first_seen: new Date(group.first_seen).toISOString(),
+          last_seen: new Date(group.last_seen).toISOString()
+        });
+        group.reported = group.count;
+      });
+      return repeats;
+    },
+
+    destroy() {
+      groups = new Map();
+    }
+  };
+}
+
+// Breadcrumb for an event, or null when it isn't one
+function breadcrumbFromEvent(ev) {
+  const data = ev.event_data || {};
+  if (ev.event_type === 'click') {
+    return { type: 'click', target: ev.event_name + (data.id ? `#${data.id}` : ''), text: data.text || null };
+  }
+  if (ev.event_type === 'navigation') {
+    return { type: 'navigation', name: ev.event_name, url: ev.page_url };
+  }
+  if (ev.event_type === 'network' && (!ev.status || ev.status >= 400)) {
+    return { type: 'network', method: ev.event_name, url: data.url || null, status: ev.status || 0, error: data.error || null };
+  }
+  return null;
+}
+
+/**
+ * Keep the last N interactions for error context
+ * @param {number} maxBreadcrumbs - Trail length
+ * @returns {{add: Function, list: Function, clear: Function}}
+ */
+export function createBreadcrumbTrail(maxBreadcrumbs) {
+  const max = maxBreadcrumbs >= 0 ? maxBreadcrumbs : DEFAULT_MAX_BREADCRUMBS;
+  let trail = [];
+
+  return {
+    /** Record an event if it is a click, navigation or failed request */
+    add(ev) {
+      if (!max) return;
+      const crumb = breadcrumbFromEvent(ev);
+      if (!crumb) return;
+      crumb.ts = ev.ts;
+      trail.push(crumb);
+      if (trail.length > max) trail.shift();
+    },
+
+    /** Copy of the trail, oldest first */
+    list() {
+      return trail.slice();
+    },
+
+    clear() {
+      trail = [];
+    }
+  };
+}
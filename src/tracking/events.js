@@ -0,0 +1,160 @@
+import config from '../config.js';
+import { hasConsent } from '../consent.js';
+
+/**
+ * Wire format
+ *
+ * Batches are sent as an envelope:
+ *   {
+ *     schema_version: 2,
+ *     context: { org_id, visitor_id, session_id, ..., device },  // fields shared by every event
+ *     events: [{ event_id, seq, schema_version, ts, event_type, event_name, event_data, ... }]
+ *   }
+ *
+ * A context field applies to every event in the batch that doesn't carry it
+ * itself. Fields that differ between events of a batch (a session rotated, the
+ * visitor reset, ...) stay on the events. `device` (see device.js) is only
+ * sent with the first batch of each session.
+ *
+ * Events are built with createEvent(), which validates their shape. Each one
+ * gets a unique `event_id` (so retried batches can be deduplicated) and, when
+ * it is queued, a `seq` number counting up within its session.
+ */
+
+export const SCHEMA_VERSION = 2;
+
+// Moved to the envelope when every event of the batch has the same value
+const CONTEXT_FIELDS = ['org_id', 'visitor_id', 'user_id', 'session_id', 'page_url', 'referrer'];
+
+// Fields createEvent() accepts besides event_type / event_name / event_data
+const OPTIONAL_FIELDS = ['session_id', 'status', 'duration_ms'];
+
+const EVENT_TYPE = /^[a-z][a-z0-9_]*$/;
+const MAX_EVENT_NAME_LENGTH = 200;
+
+const SEQ_KEY = 'weblayer_seq';
+
+let seqState = null; // { session_id, seq }
+
+function generateEventId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check an event's shape
+ * @param {Object} ev - Event from createEvent()
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+export function validateEvent(ev) {
+  if (typeof ev.event_type !== 'string' || !EVENT_TYPE.test(ev.event_type)) return 'event_type';
+  if (typeof ev.event_name !== 'string' || !ev.event_name || ev.event_name.length > MAX_EVENT_NAME_LENGTH) return 'event_name';
+  if (ev.event_data !== null && !isPlainObject(ev.event_data)) return 'event_data';
+  if (ev.session_id !== null && typeof ev.session_id !== 'string') return 'session_id';
+  if (ev.status !== undefined && typeof ev.status !== 'number') return 'status';
+  if (ev.duration_ms !== undefined && typeof ev.duration_ms !== 'number') return 'duration_ms';
+  return null;
+}
+
+/**
+ * Build an event
+ * Visitor, user and session are filled in when the event is queued.
+ * @param {Object} fields - { event_type, event_name, event_data } plus
+ *   optionally session_id (session events), status and duration_ms (network)
+ * @returns {Object|null} The event, or null when its shape is invalid
+ */
+export function createEvent(fields) {
+  const unknown = Object.keys(fields).find(key =>
+    key !== 'event_type' && key !== 'event_name' && key !== 'event_data' && !OPTIONAL_FIELDS.includes(key));
+  const ev = {
+    event_id: generateEventId(),
+    schema_version: SCHEMA_VERSION,
+    ts: new Date().toISOString(),
+    org_id: config.org_id,
+    visitor_id: null,
+    session_id: fields.session_id || null,
+    page_url: window.location.href,
+    referrer: document.referrer || null,
+    event_type: fields.event_type,
+    event_name: fields.event_name,
+    event_data: fields.event_data === undefined ? null : fields.event_data
+  };
+  if (fields.status !== undefined) ev.status = fields.status;
+  if (fields.duration_ms !== undefined) ev.duration_ms = fields.duration_ms;
+
+  const problem = unknown || validateEvent(ev);
+  if (problem) {
+    if (config.debug) console.warn(`[weblayer] Dropping malformed event (${problem}):`, fields);
+    return null;
+  }
+  return ev;
+}
+
+/**
+ * Next sequence number of a session (1, 2, 3, ...)
+ * Continues across page loads in the same tab once analytics consent is
+ * granted; the counter is only written back by persistSeq().
+ * @param {string} sessionId - Session of the event
+ * @returns {number}
+ */
+export function nextSeq(sessionId) {
+  if (!seqState || seqState.session_id !== sessionId) {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(SEQ_KEY) || 'null');
+      seqState = stored && stored.session_id === sessionId ? stored : { session_id: sessionId, seq: 0 };
+    } catch (e) {
+      seqState = { session_id: sessionId, seq: 0 };
+    }
+  }
+  seqState.seq++;
+  return seqState.seq;
+}
+
+/** Store the sequence counter for the next page load (on flush and pagehide) */
+export function persistSeq() {
+  if (!seqState || !hasConsent('analytics')) return;
+  try {
+    sessionStorage.setItem(SEQ_KEY, JSON.stringify(seqState));
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
+
+/** Drop the stored sequence counter (consent revoked) */
+export function clearSeq() {
+  seqState = null;
+  try {
+    sessionStorage.removeItem(SEQ_KEY);
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
+
+/**
+ * Wrap events in a batch envelope, moving shared fields to `context`
+ * @param {Array<Object>} events - Queued events
+ * @param {Object} extraContext - Batch-level context that isn't on the events (e.g. `device`)
+ * @returns {{schema_version: number, context: Object, events: Array<Object>}}
+ */
+export function buildEnvelope(events, extraContext) {
+  const context = Object.assign({}, extraContext);
+  CONTEXT_FIELDS.forEach(field => {
+    if (!events.length || !(field in events[0])) return;
+    const value = events[0][field];
+    if (events.every(ev => field in ev && ev[field] === value)) context[field] = value;
+  });
+  const shared = Object.keys(context);
+  return {
+    schema_version: SCHEMA_VERSION,
+    context: context,
+    events: events.map(ev => {
+      const out = Object.assign({}, ev);
+      shared.forEach(field => delete out[field]);
+      return out;
+    })
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Shadow DOM and same-origin iframe support
+ * - composedTarget(): the real (innermost) target of an event that crossed
+ *   shadow boundaries, instead of the retargeted host
+ * - createFrameWatcher(): finds same-origin iframes, present and future,
+ *   nested ones included, and reports every document loaded in them
+ */
+
+const FRAME_SELECTOR = 'iframe, frame';
+
+/**
+ * Innermost target of an event
+ * Inside open shadow roots this is the element that was actually hit; closed
+ * roots only reveal it to listeners attached inside them.
+ * @param {Event} e - DOM event
+ * @returns {EventTarget|null}
+ */
+export function composedTarget(e) {
+  let target = e.target;
+  try {
+    const path = typeof e.composedPath === 'function' ? e.composedPath() : null;
+    if (path && path.length) target = path[0];
+  } catch (err) {
+    // Keep e.target
+  }
+  // Text nodes (selection / some synthetic events) -> their element
+  if (target && target.nodeType === 3) target = target.parentNode;
+  return target;
+}
+
+function frameDocument(frame) {
+  try {
+    // null (or a SecurityError) for cross-origin frames
+    const doc = frame.contentDocument;
+    return doc && doc.documentElement ? doc : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Watch for same-origin frames
+ * @param {Function} onDocument - (doc, frame, depth) called once per frame document;
+ *   depth is 1 for frames of the top document, 2 for frames inside those, ...
+ * @returns {{destroy: Function}}
+ */
+export function createFrameWatcher(onDocument) {
+  const observers = [];
+  const removers = [];
+  const seenFrames = new WeakSet();
+  const seenDocuments = new WeakSet();
+
+  function visit(frame, depth) {
+    const doc = frameDocument(frame);
+    if (!doc || seenDocuments.has(doc)) return;
+    seenDocuments.add(doc);
+    try {
+      onDocument(doc, frame, depth);
+    } catch (e) {
+      // Ignore
+    }
+    watch(doc, depth);
+  }
+
+  function attach(frame, depth) {
+    if (seenFrames.has(frame)) return;
+    seenFrames.add(frame);
+    // Every navigation of the frame loads a new document
+    const onLoad = () => visit(frame, depth);
+    frame.addEventListener('load', onLoad);
+    removers.push(() => frame.removeEventListener('load', onLoad));
+    visit(frame, depth);
+  }
+
+  function scan(root, depth) {
+    const frames = root.querySelectorAll(FRAME_SELECTOR);
+    for (let i = 0; i < frames.length; i++) attach(frames[i], depth);
+  }
+
+  // doc is at `depth`; its frames are one level deeper
+  function watch(doc, depth) {
+    scan(doc, depth + 1);
+    try {
+      const observer = new MutationObserver((mutations) => {
+        mutations.forEach(mutation => {
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType !== 1) return;
+            if (node.matches && node.matches(FRAME_SELECTOR)) attach(node, depth + 1);
+            else if (node.querySelector && node.querySelector(FRAME_SELECTOR)) scan(node, depth + 1);
+          });
+        });
+      });
+      observer.observe(doc, { childList: true, subtree: true });
+      observers.push(observer);
+    } catch (e) {
+      // MutationObserver unavailable
+    }
+  }
+
+  watch(document, 0);
+
+  return {
+    destroy() {
+      observers.forEach(observer => observer.disconnect());
+      observers.length = 0;
+      removers.forEach(remove => remove());
+      removers.length = 0;
+    }
+  };
+}
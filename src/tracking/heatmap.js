@@ -0,0 +1,79 @@
+import config from '../config.js';
+
+/**
+ * Heatmap coordinates
+ * Clicks and touches carry `position`:
+ *   {
+ *     viewport: { x, y, width, height },  // client coordinates and viewport size
+ *     page: { x, y },                      // viewport + scroll offset
+ *     target: { x_pct, y_pct },            // offset inside the target's box, in %
+ *     document: { width, height },
+ *     breakpoint: 'desktop'
+ *   }
+ * Page coordinates don't depend on where the page was scrolled to; the offset
+ * inside the target and the breakpoint (from config.breakpoints and the
+ * viewport width) let clicks from different screen sizes be drawn on the same
+ * element. Inside iframes everything is relative to the frame.
+ */
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Breakpoint of a viewport width
+ * @param {number} width - Viewport width in CSS pixels
+ * @param {Object} breakpoints - { [name]: min width }
+ * @returns {string|null} Name of the largest breakpoint whose min width fits
+ */
+export function breakpointFor(width, breakpoints) {
+  let match = null;
+  Object.keys(breakpoints || {}).forEach(name => {
+    const min = breakpoints[name];
+    if (typeof min === 'number' && width >= min && (match === null || min >= breakpoints[match])) match = name;
+  });
+  return match;
+}
+
+/**
+ * Position of a click / touch for heatmaps
+ * @param {number} clientX - Viewport x (MouseEvent / Touch clientX)
+ * @param {number} clientY - Viewport y
+ * @param {Element} target - Element that was hit
+ * @returns {Object|null}
+ */
+export function pointerPosition(clientX, clientY, target) {
+  if (typeof clientX !== 'number' || typeof clientY !== 'number') return null;
+  const doc = (target && target.ownerDocument) || document;
+  const win = doc.defaultView || window;
+  const root = doc.documentElement;
+  const body = doc.body;
+  const viewportWidth = win.innerWidth || (root && root.clientWidth) || 0;
+  const scrollX = win.scrollX || win.pageXOffset || 0;
+  const scrollY = win.scrollY || win.pageYOffset || 0;
+
+  let offset = null;
+  if (target && typeof target.getBoundingClientRect === 'function') {
+    const rect = target.getBoundingClientRect();
+    offset = {
+      x_pct: rect.width > 0 ? round1((clientX - rect.left) / rect.width * 100) : null,
+      y_pct: rect.height > 0 ? round1((clientY - rect.top) / rect.height * 100) : null
+    };
+  }
+
+  return {
+    viewport: {
+      x: Math.round(clientX),
+      y: Math.round(clientY),
+      width: viewportWidth,
+      height: win.innerHeight || (root && root.clientHeight) || 0
+    },
+    page: { x: Math.round(clientX + scrollX), y: Math.round(clientY + scrollY) },
+    target: offset,
+    document: {
+      width: Math.max(root ? root.scrollWidth : 0, body ? body.scrollWidth : 0),
+      height: Math.max(root ? root.scrollHeight : 0, body ? body.scrollHeight : 0)
+    },
+    breakpoint: breakpointFor(viewportWidth, config.breakpoints)
+  };
+}
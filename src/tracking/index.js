@@ -1,15 +1,187 @@
 import config from '../config.js';
+import { hasConsent, isDenied, onConsentChange } from '../consent.js';
+import { persistBatch, persistReplayChunk, drainPending, scheduleDrain, clearPending, cancelDrain } from './offline-queue.js';
+import { prepareBatch, sendBatch, sendBatchOnUnload, sendReplayChunk } from './transport.js';
+import { compressedSize, stopCompressionWorker } from './compression.js';
+import { createEvent, validateEvent, nextSeq, persistSeq, clearSeq } from './events.js';
+import { startDeviceContext, clearDeviceContextSent } from './device.js';
+import { CAMPAIGN_PARAMS, recordTouch, persistAttribution } from './attribution.js';
+import { redactEvent, elementText, rangeText, isIgnored, isMasked, maskText } from './redaction.js';
+import { isValidEventName, sanitizeProperties } from './properties.js';
+import { rotateVisitorId, getStoredUserId, storeUserId } from '../visitor.js';
+import { runMiddleware } from './middleware.js';
+import { applySampling, isSessionSampled, clearSampleCounts } from './sampling.js';
+import { createRageClickDetector } from './rage-click.js';
+import { createPerformanceCollector } from './web-vitals.js';
+import { createLongTaskMonitor } from './long-tasks.js';
+import { findCaptureRule, startFetchCapture, captureXhr } from './network-capture.js';
+import { createConnectionMonitor } from './connections.js';
+import { createSessionTracker } from './session.js';
+import { createReplayRecorder } from './replay.js';
+import { composedTarget, createFrameWatcher } from './frames.js';
+import { cssSelector, describeTarget } from './selectors.js';
+import { pointerPosition } from './heatmap.js';
+import { parseStack, describeError, errorFingerprint, createErrorGrouper, createBreadcrumbTrail } from './errors.js';
 
-const MAX_BATCH_BYTES = 64 * 1024;
+const MAX_BATCH_BYTES = 64 * 1024; // Upload size (compressed when gzip is used)
 const MAX_BATCH_COUNT = 50;
 const FLUSH_MS = 5000;
+const MAX_PENDING_EVENTS = 500; // In-memory buffer while consent is pending
+
+// Ad click IDs and campaign values are opaque by design: the token detector
+// would wipe them (other detectors still run)
+const REDACTION_KEEP = { params: CAMPAIGN_PARAMS };
+const SESSION_REDACTION_KEEP = { params: CAMPAIGN_PARAMS, keys: ['attribution'] };
 
 let queue = [];
+let queueBytes = 0; // Serialized size of the queue, kept up to date on push
+const eventBytes = new WeakMap(); // queued event -> serialized size
 let timer = null;
+let enqueuedCount = 0; // Events handed to enqueue(), counted before sampling / middleware (dead-click activity)
+
+// Visitor/session of the running emitter (null until initWeblayerEmitter runs)
+let activeVisitorId = null;
+let sessionTracker = null;
+
+// Recent clicks / navigations / failed requests, attached to error events
+let breadcrumbs = null;
+
+// Identified user (set by identify(), cleared by reset())
+let activeUserId = null;
+let pendingIdentify = null; // identify() called before init
+
+// Teardown registry: filled by initWeblayerEmitter, run by destroyWeblayerEmitter
+let emitterActive = false;
+let stopWaitingForConsent = null; // Set while analytics consent is denied: nothing is instrumented
+let waitingVisitorId = null; // Visitor tracking starts with once consent is granted
+let cleanups = [];
+let finalizers = [];
+const activeTimers = new Set();
+
+// Frame context ({ url, selector, name, depth }) of the event being handled
+// when it came from a same-origin iframe; added to event_data as `frame`
+let activeFrame = null;
+
+function listen(target, type, handler, options) {
+  target.addEventListener(type, handler, options);
+  cleanups.push(() => target.removeEventListener(type, handler, options));
+}
+
+// Replace obj[key] with wrapper; teardown restores the original unless
+// something else has wrapped it since (our wrapper then goes inert)
+function patch(obj, key, wrapper) {
+  const original = obj[key];
+  obj[key] = wrapper;
+  cleanups.push(() => {
+    if (obj[key] === wrapper) obj[key] = original;
+  });
+}
 
+// Run fn with the given frame context (null: top document)
+function inFrame(frame, fn) {
+  const previous = activeFrame;
+  activeFrame = frame;
+  try {
+    return fn();
+  } finally {
+    activeFrame = previous;
+  }
+}
+
+function later(fn, ms) {
+  // Timers started while handling a frame event keep its frame context
+  const frame = activeFrame;
+  const id = setTimeout(() => {
+    activeTimers.delete(id);
+    inFrame(frame, fn);
+  }, ms);
+  activeTimers.add(id);
+  return id;
+}
+
+function every(fn, ms) {
+  const id = setInterval(fn, ms);
+  activeTimers.add(id);
+  return id;
+}
+
+function cancelTimer(id) {
+  if (id === null || id === undefined) return;
+  clearTimeout(id);
+  clearInterval(id);
+  activeTimers.delete(id);
+}
+
+// Queue an event from createEvent() (null: it failed validation)
 function enqueue(ev) {
-  queue.push(ev);
-  const estSize = JSON.stringify(queue).length;
+  if (!ev || !emitterActive || isDenied('analytics')) return;
+  enqueuedCount++;
+
+  // Identity and session can change after a listener captured them
+  // (identify / reset / session rotation); session events carry their own
+  if (activeVisitorId) ev.visitor_id = activeVisitorId;
+  if (activeUserId) ev.user_id = activeUserId;
+  if (sessionTracker && ev.event_type !== 'session') ev.session_id = sessionTracker.touch(ev);
+  if (activeFrame) ev.event_data = Object.assign({}, ev.event_data, { frame: activeFrame });
+
+  const sampling = applySampling(ev);
+  if (sampling.capReached) {
+    // Report once per session that this event type stopped being collected
+    const rules = (config.sampling && config.sampling.events) || {};
+    const capEvent = createEvent({
+      event_type: 'sampling', event_name: 'cap_reached',
+      session_id: ev.session_id,
+      event_data: {
+        key: sampling.capReached,
+        max_per_session: rules[sampling.capReached] ? rules[sampling.capReached].maxPerSession : null
+      }
+    });
+    if (capEvent) {
+      capEvent.visitor_id = ev.visitor_id;
+      if (ev.user_id) capEvent.user_id = ev.user_id;
+      processEvent(capEvent);
+    }
+  }
+  if (!sampling.keep) return;
+
+  processEvent(ev);
+}
+
+function processEvent(ev) {
+  runMiddleware(ev, (result) => {
+    if (!result) return;
+    // Middleware may have replaced or rewritten the event
+    const problem = validateEvent(result);
+    if (problem) {
+      if (config.debug) console.warn(`[weblayer] Dropping malformed event from middleware (${problem}):`, result);
+      return;
+    }
+    pushEvent(result);
+  });
+}
+
+// Add a processed event to the batch (redaction runs last so middleware
+// enrichment is redacted too). Breadcrumbs are taken from the event as it is
+// sent, so events dropped or rewritten by middleware don't leak into them.
+function pushEvent(ev) {
+  // Async middleware can resolve after destroy()
+  if (!emitterActive || isDenied('analytics')) return;
+  ev.seq = nextSeq(ev.session_id);
+  const redacted = redactEvent(ev, ev.event_type === 'session' ? SESSION_REDACTION_KEEP : REDACTION_KEEP);
+  const size = JSON.stringify(redacted).length + 1; // +1 for the comma
+  eventBytes.set(redacted, size);
+  queue.push(redacted);
+  queueBytes += size;
+  if (breadcrumbs) breadcrumbs.add(redacted);
+
+  // Consent pending: keep events in memory only, nothing is sent or persisted
+  if (!hasConsent('analytics')) {
+    if (queue.length > MAX_PENDING_EVENTS) queueBytes -= eventBytes.get(queue.shift());
+    return;
+  }
+
+  // Estimate only: flush() checks the real compressed size before sending
+  const estSize = config.compressUploads === false ? queueBytes : compressedSize(queueBytes);
   if (queue.length >= MAX_BATCH_COUNT || estSize >= MAX_BATCH_BYTES) {
     flush();
   } else if (!timer) {
@@ -17,29 +189,80 @@ function enqueue(ev) {
   }
 }
 
-// Store original fetch before we wrap it
-let origFetchForFlush = window.fetch;
+// Split queued events into batches within MAX_BATCH_COUNT / MAX_BATCH_BYTES
+// (the queue can be far larger after consent was pending)
+function toBatches(events) {
+  const batches = [];
+  let current = [];
+  let bytes = 0;
+  events.forEach(ev => {
+    const size = eventBytes.get(ev) || JSON.stringify(ev).length + 1;
+    const evBytes = config.compressUploads === false ? size : compressedSize(size);
+    if (current.length && (current.length >= MAX_BATCH_COUNT || bytes + evBytes > MAX_BATCH_BYTES)) {
+      batches.push(current);
+      current = [];
+      bytes = 0;
+    }
+    current.push(ev);
+    bytes += evBytes;
+  });
+  if (current.length) batches.push(current);
+  return batches;
+}
 
-async function flush() {
-  if (!queue.length) return;
-  const batch = queue;
+function clearQueue() {
   queue = [];
+  queueBytes = 0;
+}
+
+async function flush() {
+  if (!queue.length || !hasConsent('analytics')) return;
+  persistSeq();
+  const batches = toBatches(queue);
+  clearQueue();
   clearTimeout(timer);
   timer = null;
-  try {
-    // Use the ORIGINAL fetch to avoid infinite recursion
-    await origFetchForFlush(`${config.apiUrl}/sdk/events`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ events: batch })
-    });
-  } catch (e) {
-    // drop on network failure for MVP
+
+  // Once a batch fails the rest isn't attempted (most likely offline)
+  const failed = [];
+  while (batches.length) {
+    const batch = batches.shift();
+    if (failed.length) {
+      failed.push(batch);
+      continue;
+    }
+    // Batches were sized from estimates: split any whose real body is too big
+    const prepared = await prepareBatch(batch);
+    if (prepared.bytes > MAX_BATCH_BYTES && batch.length > 1) {
+      const half = Math.ceil(batch.length / 2);
+      batches.unshift(batch.slice(0, half), batch.slice(half));
+      continue;
+    }
+    if (!(await sendBatch(batch, prepared))) failed.push(batch);
   }
+  if (!failed.length) return;
+
+  // Keep the batches for later instead of dropping them
+  for (const batch of failed) await persistBatch(batch);
+  scheduleDrain(sendBatch, 0);
 }
 
-function nowTs() {
-  return new Date().toISOString();
+/**
+ * Flush synchronously through sendBeacon / fetch keepalive
+ * Used on pagehide and when the page becomes hidden, where an async POST
+ * would be cancelled by the browser.
+ */
+function flushOnUnload() {
+  persistSeq();
+  if (!queue.length || !hasConsent('analytics')) return;
+  const batch = queue;
+  clearQueue();
+  clearTimeout(timer);
+  timer = null;
+
+  sendBatchOnUnload(batch, (undelivered) => {
+    toBatches(undelivered).forEach(persistBatch);
+  });
 }
 
 function safeSnippet(text, max = 120) {
@@ -47,72 +270,480 @@ function safeSnippet(text, max = 120) {
   return String(text).replace(/\s+/g, ' ').slice(0, max);
 }
 
+// performance.now()-based time an input event was created (falls back to now)
+function eventPerfTime(e) {
+  const now = performance.now();
+  return e && e.timeStamp > 0 && e.timeStamp <= now ? e.timeStamp : now;
+}
+
+// Selector and XPath of an event target, as `<prefix>selector` and `<prefix>xpath`
+function targetFields(el, prefix) {
+  const path = describeTarget(el);
+  const fields = {};
+  fields[`${prefix}selector`] = path.selector;
+  fields[`${prefix}xpath`] = path.xpath;
+  return fields;
+}
+
+/**
+ * Track a custom (business) event through the same batching as auto-captured events
+ * @param {string} name - Event name, e.g. "plan_upgraded"
+ * @param {Object} properties - JSON-serializable properties
+ * @returns {boolean} Whether the event was queued
+ */
+export function trackCustomEvent(name, properties) {
+  if (!activeVisitorId) {
+    if (config.debug) console.warn('[weblayer] track() called before WebLayerSDK.init()');
+    return false;
+  }
+  if (!isValidEventName(name)) {
+    if (config.debug) console.warn('[weblayer] Invalid event name:', name);
+    return false;
+  }
+  const eventData = sanitizeProperties(properties);
+  if (!eventData) {
+    if (config.debug) console.warn('[weblayer] Invalid properties for event:', name);
+    return false;
+  }
+
+  enqueue(createEvent({
+    event_type: 'custom', event_name: name.trim(),
+    event_data: eventData
+  }));
+  return true;
+}
+
+function enqueueIdentityEvent(eventName, eventData) {
+  enqueue(createEvent({
+    event_type: 'identity', event_name: eventName,
+    event_data: eventData
+  }));
+}
+
+/**
+ * Attach a user ID to every following event
+ * Emits an `alias` event linking the anonymous visitor ID to the user the
+ * first time a visitor is identified as that user.
+ * @param {string|number} userId - The app's user ID
+ * @param {Object} traits - JSON-serializable user traits (size-limited)
+ * @returns {boolean} Whether the identity was applied (or queued until init)
+ */
+export function identifyUser(userId, traits) {
+  if ((typeof userId !== 'string' && typeof userId !== 'number') || String(userId).trim() === '' || String(userId).length > 255) {
+    if (config.debug) console.warn('[weblayer] Invalid user ID:', userId);
+    return false;
+  }
+  const cleanTraits = sanitizeProperties(traits);
+  if (!cleanTraits) {
+    if (config.debug) console.warn('[weblayer] Invalid traits for user:', userId);
+    return false;
+  }
+
+  const id = String(userId).trim();
+  if (!activeVisitorId) {
+    pendingIdentify = { userId: id, traits: cleanTraits };
+    return true;
+  }
+
+  const previousUserId = activeUserId;
+  activeUserId = id;
+  if (hasConsent('analytics')) storeUserId(id);
+
+  if (previousUserId !== id) {
+    enqueueIdentityEvent('alias', { previous_id: activeVisitorId, user_id: id });
+  }
+  enqueueIdentityEvent('identify', { user_id: id, traits: cleanTraits });
+  return true;
+}
+
+/**
+ * Forget the identified user and start over with a new anonymous visitor
+ * (call on logout). Queued events are flushed with the old identity first.
+ * @returns {string|null} The new visitor ID
+ */
+export function resetIdentity() {
+  pendingIdentify = null;
+  if (!activeVisitorId) return null;
+
+  // New session too, so the old and new visitor aren't linked by session_id
+  if (sessionTracker) sessionTracker.end('reset');
+  flush();
+
+  const persist = hasConsent('analytics');
+  if (breadcrumbs) breadcrumbs.clear();
+  activeUserId = null;
+  storeUserId(null);
+  activeVisitorId = rotateVisitorId(persist);
+  if (sessionTracker) sessionTracker.start('reset');
+
+  return activeVisitorId;
+}
+
+/**
+ * Undo everything initWeblayerEmitter did: flush remaining events, restore
+ * patched globals, remove listeners and observers, and clear timers
+ * @returns {Promise<void>} Resolves once the final flush has completed
+ */
+export async function destroyWeblayerEmitter() {
+  if (stopWaitingForConsent) {
+    stopWaitingForConsent();
+    stopWaitingForConsent = null;
+    waitingVisitorId = null;
+  }
+  if (!emitterActive) return;
+
+  finalizers.forEach(fn => {
+    try {
+      fn();
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Teardown step failed:', e);
+    }
+  });
+  const finalFlush = flush();
+  clearQueue(); // Anything left (consent pending) is discarded
+  clearTimeout(timer);
+  timer = null;
+
+  emitterActive = false;
+  activeFrame = null;
+  cleanups.reverse().forEach(fn => {
+    try {
+      fn();
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Teardown step failed:', e);
+    }
+  });
+  cleanups = [];
+  finalizers = [];
+  activeTimers.forEach(id => cancelTimer(id));
+  cancelDrain();
+
+  activeVisitorId = null;
+  sessionTracker = null;
+  breadcrumbs = null;
+  activeUserId = null;
+
+  await finalFlush;
+}
+
+/**
+ * Start tracking. While analytics consent is denied nothing is patched or
+ * listened to; tracking starts once consent is granted (or reset to pending).
+ * @param {string} visitorId - Current visitor
+ */
 export function initWeblayerEmitter(visitorId) {
+  if (emitterActive || stopWaitingForConsent) return;
   if (!config.weblayerEnabled) return;
   if (!visitorId) return;
   if (!config.org_id) return;
+
+  if (isDenied('analytics')) {
+    waitForConsent(visitorId);
+    return;
+  }
+  startEmitter(visitorId);
+}
+
+function waitForConsent(visitorId) {
+  waitingVisitorId = visitorId;
+  stopWaitingForConsent = onConsentChange((current) => {
+    if (current.analytics === 'denied') return;
+    stopWaitingForConsent();
+    stopWaitingForConsent = null;
+    waitingVisitorId = null;
+    startEmitter(visitorId);
+  });
+}
+
+/**
+ * Visitor ID tracking runs with (or will start with once consent is granted)
+ * @returns {string|null}
+ */
+export function currentTrackedVisitorId() {
+  return activeVisitorId || waitingVisitorId;
+}
+
+function startEmitter(visitorId) {
+  activeVisitorId = visitorId;
+  activeUserId = getStoredUserId();
+  emitterActive = true;
+
+  // page visibility tracking (active vs inactive time)
+  let visibilityStartTime = Date.now();
+  let cumulativeActiveTime = 0;
+  let cumulativeInactiveTime = 0;
+  let lastVisibilityChange = Date.now();
+  let visibilityUpdateInterval = null;
   
-  // ensure a session id exists
-  let sid = sessionStorage.getItem('weblayer_session_id');
-  if (!sid) {
-    sid = `${Date.now()}_${Math.random().toString(36).slice(2)}`;
-    sessionStorage.setItem('weblayer_session_id', sid);
+  function updateVisibilityTracking() {
+    const now = Date.now();
+    if (!document.hidden) {
+      // Page is visible - accumulate active time
+      cumulativeActiveTime += (now - lastVisibilityChange);
+    } else {
+      // Page is hidden - accumulate inactive time
+      cumulativeInactiveTime += (now - lastVisibilityChange);
+    }
+    lastVisibilityChange = now;
   }
 
+  // session replay (opt-in), created further down; a recording follows the session
+  let replayRecorder = null;
+
+  function startReplay() {
+    const settings = config.replay || {};
+    if (!replayRecorder || !settings.enabled || replayRecorder.isRecording()) return;
+    if (!hasConsent('analytics')) return;
+    const sessionId = sessionTracker.id();
+    if (!isSessionSampled(sessionId, 'replay', settings.sampleRate)) return;
+    try {
+      replayRecorder.start({ session_id: sessionId });
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to start replay:', e);
+    }
+  }
+
+  // session: continued from sessionStorage or started here; rotated after
+  // inactivity, at midnight and on campaign changes (only stored once
+  // analytics consent is granted)
+  sessionTracker = createSessionTracker(config.session, () => {
+    updateVisibilityTracking();
+    return cumulativeActiveTime;
+  }, (eventName, sessionId, eventData) => {
+    let data = eventData;
+    if (eventName === 'session_start') {
+      try {
+        data = Object.assign({}, eventData, { attribution: recordTouch(activeVisitorId, hasConsent('analytics')) });
+      } catch (e) {
+        if (config.debug) console.warn('[weblayer] Failed to record attribution:', e);
+      }
+    }
+    enqueue(createEvent({
+      session_id: sessionId,
+      event_type: 'session', event_name: eventName,
+      event_data: data
+    }));
+    if (replayRecorder && eventName === 'session_end') replayRecorder.stop(true);
+    if (eventName === 'session_start') startReplay();
+  });
+  cleanups.push(() => sessionTracker.destroy());
+  const sid = sessionTracker.begin();
+
+  cleanups.push(onConsentChange((current, prev) => {
+    if (current.analytics === prev.analytics) return;
+    if (current.analytics === 'granted') {
+      // Persist the session and send what was buffered while pending
+      sessionTracker.save();
+      persistAttribution();
+      if (activeUserId) storeUserId(activeUserId);
+      flush();
+      drainPending(sendBatch);
+      startReplay();
+    } else if (current.analytics === 'denied') {
+      // Revoked: discard everything queued or stored
+      clearQueue();
+      clearTimeout(timer);
+      timer = null;
+      clearPending();
+      clearSeq();
+      clearSampleCounts();
+      clearDeviceContextSent();
+      sessionTracker.forget();
+      if (replayRecorder) replayRecorder.stop(false);
+      // Remove every patch and listener until consent is granted again, and
+      // start over as a new visitor so activity before and after isn't linked
+      destroyWeblayerEmitter();
+      waitForConsent(rotateVisitorId(false));
+    }
+  }));
+
+  // Retry batches left over from previous page loads, and again as soon as
+  // the browser reports connectivity
+  if (hasConsent('analytics')) drainPending(sendBatch);
+  listen(window, 'online', () => {
+    if (hasConsent('analytics')) drainPending(sendBatch, true);
+  });
+  cleanups.push(stopCompressionWorker);
+
+  // device / browser / locale context for the batch envelope
+  startDeviceContext();
+
   // first paint/navigation
-  enqueue({
-    ts: nowTs(),
-    org_id: config.org_id,
-    visitor_id: visitorId,
-    session_id: sid,
-    page_url: window.location.href,
-    referrer: document.referrer || null,
-    event_type: 'navigation',
-    event_name: 'load',
+  enqueue(createEvent({
+    event_type: 'navigation', event_name: 'load',
     event_data: { title: document.title }
-  });
+  }));
 
-  // errors
-  window.addEventListener('error', (e) => {
-    const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-    enqueue({
-      ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-      session_id: sid2,
-      page_url: window.location.href, referrer: document.referrer || null,
-      event_type: 'error', event_name: 'window.onerror',
-      event_data: { message: e.message, filename: e.filename, lineno: e.lineno, colno: e.colno }
-    });
+  // identify() called before init
+  if (pendingIdentify) {
+    identifyUser(pendingIdentify.userId, pendingIdentify.traits);
+    pendingIdentify = null;
+  }
+
+  // main-thread long tasks: aggregated `jank` events + tagging of interactions
+  // that overlapped one (a "dead" click during a freeze isn't a broken UI)
+  const longTaskMonitor = createLongTaskMonitor();
+  cleanups.push(() => longTaskMonitor.destroy());
+
+  function reportJank() {
+    try {
+      const summary = longTaskMonitor.takeSummary();
+      if (!summary) return;
+      enqueue(createEvent({
+        event_type: 'jank', event_name: 'long_tasks',
+        event_data: summary
+      }));
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to report jank:', e);
+    }
+  }
+  every(reportJank, 10000);
+  listen(window, 'pagehide', reportJank);
+
+  // errors: the first occurrence of each fingerprint is sent with its stack
+  // and breadcrumbs, repeats are counted and reported as error / repeated
+  const errorSettings = config.errors || {};
+  breadcrumbs = createBreadcrumbTrail(errorSettings.maxBreadcrumbs);
+  const errorGrouper = createErrorGrouper();
+  cleanups.push(() => errorGrouper.destroy());
+
+  function trackError(eventName, error, details) {
+    try {
+      const described = describeError(error);
+      const message = details.message || described.message;
+      const frames = parseStack(described.stack, errorSettings.maxFrames);
+      const fallbackLocation = details.filename ? `${details.filename}:${details.lineno}:${details.colno}` : null;
+      const fingerprint = errorFingerprint(described.type, message, frames, fallbackLocation);
+      if (!errorGrouper.record(fingerprint, safeSnippet(message, 200))) return;
+
+      enqueue(createEvent({
+        event_type: 'error', event_name: eventName,
+        event_data: Object.assign({}, details, {
+          message: safeSnippet(message, 1000),
+          error_type: described.type,
+          stack: frames.length ? frames : null,
+          fingerprint: fingerprint,
+          breadcrumbs: breadcrumbs.list()
+        })
+      }));
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to track error:', e);
+    }
+  }
+
+  function reportRepeatedErrors() {
+    try {
+      errorGrouper.takeRepeats().forEach(group => {
+        enqueue(createEvent({
+          event_type: 'error', event_name: 'repeated',
+          event_data: group
+        }));
+      });
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to report repeated errors:', e);
+    }
+  }
+  every(reportRepeatedErrors, 30000);
+  listen(window, 'pagehide', reportRepeatedErrors);
+
+  listen(window, 'error', (e) => {
+    // Resource load failures are handled below
+    if (e.target && e.target !== window) return;
+    trackError('window.onerror', e.error, { message: e.message, filename: e.filename, lineno: e.lineno, colno: e.colno });
   });
 
-  window.addEventListener('unhandledrejection', (e) => {
-    const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-    enqueue({
-      ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-      session_id: sid2,
-      page_url: window.location.href, referrer: document.referrer || null,
-      event_type: 'error', event_name: 'unhandledrejection',
-      event_data: { message: safeSnippet(e.reason && (e.reason.message || String(e.reason))) }
-    });
+  // failed resource loads (img/script/link/video/source): these don't bubble,
+  // so listen in the capture phase and keep only element targets
+  const RESOURCE_TAGS = ['IMG', 'SCRIPT', 'LINK', 'VIDEO', 'SOURCE'];
+
+  function resourceUrl(el) {
+    if (el.tagName === 'LINK') return el.href || null;
+    return el.currentSrc || el.src || null;
+  }
+
+  function resourceTiming(url) {
+    try {
+      if (!url || !performance.getEntriesByName) return null;
+      const entries = performance.getEntriesByName(new URL(url, window.location.href).href, 'resource');
+      return entries.length ? entries[entries.length - 1] : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  listen(window, 'error', (e) => {
+    try {
+      const el = e.target;
+      if (!el || el === window || !RESOURCE_TAGS.includes(el.tagName)) return;
+
+      const url = resourceUrl(el);
+      const timing = resourceTiming(url);
+      enqueue(createEvent({
+        event_type: 'resource_error', event_name: el.tagName.toLowerCase(),
+        event_data: Object.assign({
+          tag: el.tagName.toLowerCase(),
+          url: safeSnippet(url, 500),
+          rel: el.tagName === 'LINK' ? el.rel || null : null,
+          initiator: timing ? timing.initiatorType : null,
+          transfer_size: timing ? timing.transferSize : null,
+          duration_ms: timing ? Math.round(timing.duration) : null,
+          response_status: timing && timing.responseStatus ? timing.responseStatus : null
+        }, targetFields(el, ''))
+      }));
+    } catch (err) {
+      if (config.debug) console.warn('[weblayer] Failed to track resource error:', err);
+    }
+  }, true);
+
+  listen(window, 'unhandledrejection', (e) => {
+    trackError('unhandledrejection', e.reason, {});
   });
 
+  // Interaction listeners go on the document, and also on same-origin frame
+  // documents and on shadow roots (see the frame watcher and attachShadow
+  // patch below)
+  const documentListeners = []; // { type, handler, options, handled }
+  const frameContexts = new WeakMap(); // frame document -> () => frame context
+  const closedShadowHosts = new WeakSet();
+
+  // Document-level handler that leaves events to the shadow root listeners
+  // that can see their real target. Events retargeted to a closed host are
+  // reported by the root or the host listener, never here: the document may
+  // see them first (capture phase), before it can tell which one applies.
+  function documentHandler({ handler, handled }) {
+    return (e) => {
+      if (handled.has(e) || closedShadowHosts.has(composedTarget(e))) return;
+      handler(e);
+    };
+  }
+
+  function listenDocument(type, handler, options) {
+    // handled: events already reported by this handler's shadow root or host listener
+    const entry = { type, handler, options, handled: new WeakSet() };
+    documentListeners.push(entry);
+    listen(document, type, documentHandler(entry), options);
+  }
+
+  function frameOf(node) {
+    const doc = node && (node.nodeType === 9 ? node : node.ownerDocument);
+    const context = doc && doc !== document ? frameContexts.get(doc) : null;
+    return context ? context() : null;
+  }
+
   // HTML5 form validation errors
-  document.addEventListener('invalid', (e) => {
-    const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-    const target = e.target;
-    enqueue({
-      ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-      session_id: sid2,
-      page_url: window.location.href, referrer: document.referrer || null,
+  listenDocument('invalid', (e) => {
+    const target = composedTarget(e);
+    enqueue(createEvent({
       event_type: 'validation_error', event_name: 'invalid',
-      event_data: {
+      event_data: Object.assign({
         element: target.tagName.toLowerCase(),
         type: target.type || null,
         name: target.name || null,
         id: target.id || null,
         validation_message: target.validationMessage || null,
         value_length: (target.value || '').length
-      }
-    });
+      }, targetFields(target, ''))
+    }));
   }, true); // capture phase to catch all form fields
 
   // form interactions (focus, blur, input, change, submit)
@@ -121,50 +752,49 @@ export function initWeblayerEmitter(visitorId) {
   
   function trackFormFieldEvent(eventType, e) {
     try {
-      const target = e.target;
+      const target = composedTarget(e);
       if (!target || !target.tagName) return;
       
       const tagName = target.tagName.toLowerCase();
       if (!['input', 'textarea', 'select'].includes(tagName)) return;
       
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       
-      const eventData = {
+      const eventData = Object.assign({
         field_type: target.type || tagName,
         field_name: target.name || null,
         field_id: target.id || null,
         has_value: !!(target.value && target.value.length > 0),
         value_length: (target.value || '').length
-      };
+      }, targetFields(target, 'field_'));
+
+      if (eventType === 'input') {
+        eventData.long_task = longTaskMonitor.overlap(eventPerfTime(e), performance.now());
+      }
       
       if (eventType === 'focus') {
         formFieldTimestamps.set(target, Date.now());
       }
       
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      enqueue(createEvent({
         event_type: 'form_interaction', event_name: eventType,
         event_data: eventData
-      });
+      }));
     } catch (e) {
       if (config.debug) console.warn(`[weblayer] Failed to track form ${eventType}:`, e);
     }
   }
   
-  document.addEventListener('focus', (e) => trackFormFieldEvent('focus', e), true);
-  document.addEventListener('blur', (e) => trackFormFieldEvent('blur', e), true);
-  document.addEventListener('input', (e) => trackFormFieldEvent('input', e), true);
-  document.addEventListener('change', (e) => trackFormFieldEvent('change', e), true);
+  listenDocument('focus', (e) => trackFormFieldEvent('focus', e), true);
+  listenDocument('blur', (e) => trackFormFieldEvent('blur', e), true);
+  listenDocument('input', (e) => trackFormFieldEvent('input', e), true);
+  listenDocument('change', (e) => trackFormFieldEvent('change', e), true);
   
   // Track form submissions
-  document.addEventListener('submit', (e) => {
+  listenDocument('submit', (e) => {
     try {
-      const form = e.target;
+      const form = composedTarget(e);
       if (!form || form.tagName !== 'FORM') return;
       
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       
       // Calculate completion time if form start time exists
       const startTime = formStartTimes.get(form);
@@ -173,17 +803,14 @@ export function initWeblayerEmitter(visitorId) {
       // Count form fields
       const fieldCount = form.querySelectorAll('input, textarea, select').length;
       
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      enqueue(createEvent({
         event_type: 'form_interaction', event_name: 'submit',
-        event_data: {
+        event_data: Object.assign({
           form_id: form.id || null,
           field_count: fieldCount,
           completion_time_ms: completionTime
-        }
-      });
+        }, targetFields(form, 'form_'))
+      }));
       
       formStartTimes.delete(form);
     } catch (e) {
@@ -192,9 +819,9 @@ export function initWeblayerEmitter(visitorId) {
   }, true);
   
   // Track when user first focuses on a form (to calculate completion time)
-  document.addEventListener('focus', (e) => {
+  listenDocument('focus', (e) => {
     try {
-      const target = e.target;
+      const target = composedTarget(e);
       if (!target || !target.tagName) return;
       
       const tagName = target.tagName.toLowerCase();
@@ -210,41 +837,33 @@ export function initWeblayerEmitter(visitorId) {
   }, true);
 
   // document-level focus/blur events
-  document.addEventListener('focusin', (e) => {
+  listenDocument('focusin', (e) => {
     try {
-      const target = e.target;
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      const target = composedTarget(e);
+      enqueue(createEvent({
         event_type: 'focus', event_name: 'focusin',
-        event_data: {
+        event_data: Object.assign({
           target_tag: target ? target.tagName ? target.tagName.toLowerCase() : null : null,
           target_id: target ? target.id || null : null,
           target_classes: target ? target.className || null : null
-        }
-      });
+        }, targetFields(target, 'target_'))
+      }));
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track focusin:', e);
     }
   }, true);
 
-  document.addEventListener('focusout', (e) => {
+  listenDocument('focusout', (e) => {
     try {
-      const target = e.target;
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      const target = composedTarget(e);
+      enqueue(createEvent({
         event_type: 'focus', event_name: 'focusout',
-        event_data: {
+        event_data: Object.assign({
           target_tag: target ? target.tagName ? target.tagName.toLowerCase() : null : null,
           target_id: target ? target.id || null : null,
           target_classes: target ? target.className || null : null
-        }
-      });
+        }, targetFields(target, 'target_'))
+      }));
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track focusout:', e);
     }
@@ -253,51 +872,52 @@ export function initWeblayerEmitter(visitorId) {
   // Console error/warn interception
   const origConsoleError = console.error;
   const origConsoleWarn = console.warn;
+  let inConsoleHook = false; // SDK warnings logged while a console event is processed aren't tracked
   
-  console.error = function() {
+  patch(console, 'error', function() {
+    if (inConsoleHook) return origConsoleError.apply(console, arguments);
+    inConsoleHook = true;
     try {
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       const message = Array.from(arguments).map(arg => 
         typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
       ).join(' ');
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      enqueue(createEvent({
         event_type: 'console', event_name: 'error',
         event_data: { message: safeSnippet(message, 500) }
-      });
+      }));
     } catch (e) {
       // Don't break console if tracking fails
+    } finally {
+      inConsoleHook = false;
     }
     return origConsoleError.apply(console, arguments);
-  };
+  });
   
-  console.warn = function() {
+  patch(console, 'warn', function() {
+    if (inConsoleHook) return origConsoleWarn.apply(console, arguments);
+    inConsoleHook = true;
     try {
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       const message = Array.from(arguments).map(arg => 
         typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
       ).join(' ');
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      enqueue(createEvent({
         event_type: 'console', event_name: 'warn',
         event_data: { message: safeSnippet(message, 500) }
-      });
+      }));
     } catch (e) {
       // Don't break console if tracking fails
+    } finally {
+      inConsoleHook = false;
     }
     return origConsoleWarn.apply(console, arguments);
-  };
+  });
 
   // network fetch
   const origFetch = window.fetch;
   
   // Only wrap if not already wrapped
   if (!origFetch.__weblayerWrapped) {
-    window.fetch = async function(input, init) {
+    patch(window, 'fetch', async function(input, init) {
     // Prevent infinite recursion if fetch is called within our tracking code
     if (arguments[0] && typeof arguments[0] === 'string' && arguments[0].includes('/sdk/events')) {
       return origFetch.apply(this, arguments);
@@ -306,22 +926,44 @@ export function initWeblayerEmitter(visitorId) {
     const start = performance.now();
     const url = typeof input === 'string' ? input : (input instanceof Request ? input.url : String(input));
     const method = (init && init.method) || (input instanceof Request && input.method) || 'GET';
+    const captureRule = findCaptureRule(url);
+    let capture = null;
+    if (captureRule) {
+      try {
+        capture = startFetchCapture(captureRule, input, init);
+      } catch (e) {
+        if (config.debug) console.warn('[weblayer] Failed to start network capture:', e);
+      }
+    }
+
+    const track = (eventData, status, dur) => {
+      enqueue(createEvent({
+        event_type: 'network', event_name: method,
+        event_data: eventData,
+        status: status, duration_ms: dur
+      }));
+    };
+
+    // Headers/bodies are read asynchronously, so the event waits for them
+    const trackWithCapture = (eventData, res, dur) => {
+      if (!capture) return track(eventData, res ? res.status : 0, dur);
+      capture.finish(res).then((captured) => {
+        if (captured && captured.request) eventData.request = captured.request;
+        if (captured && captured.response) eventData.response = captured.response;
+        track(eventData, res ? res.status : 0, dur);
+      }).catch((e) => {
+        if (config.debug) console.warn('[weblayer] Failed to capture network payload:', e);
+        track(eventData, res ? res.status : 0, dur);
+      });
+    };
     
     try {
       const res = await origFetch.apply(this, arguments);
       const dur = Math.round(performance.now() - start);
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       
       // Track the request (non-blocking)
       try {
-        enqueue({
-          ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-          session_id: sid2,
-          page_url: window.location.href, referrer: document.referrer || null,
-          event_type: 'network', event_name: method,
-          event_data: { url: url, method: method },
-          status: res.status, duration_ms: dur
-        });
+        trackWithCapture({ url: url, method: method }, res, dur);
       } catch (e) {
         // Don't break the original request if tracking fails
         if (config.debug) console.warn('[weblayer] Failed to track fetch:', e);
@@ -330,18 +972,10 @@ export function initWeblayerEmitter(visitorId) {
       return res;
     } catch (err) {
       const dur = Math.round(performance.now() - start);
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       
       // Track the error (non-blocking)
       try {
-        enqueue({
-          ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-          session_id: sid2,
-          page_url: window.location.href, referrer: document.referrer || null,
-          event_type: 'network', event_name: method,
-          event_data: { url: url, method: method, error: safeSnippet(err && err.message) },
-          status: 0, duration_ms: dur
-        });
+        trackWithCapture({ url: url, method: method, error: safeSnippet(err && err.message) }, null, dur);
       } catch (e) {
         // Don't break the original request if tracking fails
         if (config.debug) console.warn('[weblayer] Failed to track fetch error:', e);
@@ -349,7 +983,7 @@ export function initWeblayerEmitter(visitorId) {
       
       throw err;
     }
-    };
+    });
     
     // Preserve original fetch properties
     window.fetch.__weblayerWrapped = true;
@@ -359,18 +993,36 @@ export function initWeblayerEmitter(visitorId) {
   // network XMLHttpRequest
   const origOpen = XMLHttpRequest.prototype.open;
   const origSend = XMLHttpRequest.prototype.send;
+  const origSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
   
+  // loadend listeners of requests still in flight, removed on teardown
+  const pendingXhrs = new Map();
+  cleanups.push(() => {
+    pendingXhrs.forEach((onLoadEnd, xhr) => xhr.removeEventListener('loadend', onLoadEnd));
+    pendingXhrs.clear();
+  });
+
   // Only wrap if not already wrapped
   if (!origOpen.__weblayerWrapped) {
-    XMLHttpRequest.prototype.open = function(method, url) {
+    patch(XMLHttpRequest.prototype, 'open', function(method, url) {
     this._weblayerMethod = method;
     this._weblayerUrl = url;
     // Prevent tracking our own requests
     this._weblayerSkip = typeof url === 'string' && url.includes('/sdk/events');
+    this._weblayerCapture = this._weblayerSkip ? null : findCaptureRule(String(url));
+    this._weblayerHeaders = {};
     return origOpen.apply(this, arguments);
-  };
+  });
+
+  patch(XMLHttpRequest.prototype, 'setRequestHeader', function(name, value) {
+    // Only kept for requests matching a network capture rule
+    if (this._weblayerCapture && this._weblayerHeaders) {
+      this._weblayerHeaders[name] = value;
+    }
+    return origSetRequestHeader.apply(this, arguments);
+  });
   
-  XMLHttpRequest.prototype.send = function() {
+  patch(XMLHttpRequest.prototype, 'send', function() {
     // Skip if this is our own request
     if (this._weblayerSkip) {
       return origSend.apply(this, arguments);
@@ -379,33 +1031,80 @@ export function initWeblayerEmitter(visitorId) {
     const start = performance.now();
     const method = this._weblayerMethod || 'GET';
     const url = this._weblayerUrl || '';
+    const body = arguments[0];
     
-    this.addEventListener('loadend', function() {
+    const onLoadEnd = function() {
+      pendingXhrs.delete(this);
       try {
         const dur = Math.round(performance.now() - start);
-        const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-        enqueue({
-          ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-          session_id: sid2,
-          page_url: window.location.href, referrer: document.referrer || null,
+        const eventData = { url: url, method: method };
+        if (this._weblayerCapture) {
+          try {
+            const captured = captureXhr(this._weblayerCapture, this, this._weblayerHeaders, body);
+            if (captured && captured.request) eventData.request = captured.request;
+            if (captured && captured.response) eventData.response = captured.response;
+          } catch (e) {
+            if (config.debug) console.warn('[weblayer] Failed to capture network payload:', e);
+          }
+        }
+        enqueue(createEvent({
           event_type: 'network', event_name: method,
-          event_data: { url: url, method: method },
+          event_data: eventData,
           status: this.status || 0, duration_ms: dur
-        });
+        }));
       } catch (e) {
         // Don't break the original request if tracking fails
         if (config.debug) console.warn('[weblayer] Failed to track XHR:', e);
       }
-    });
+    };
+    pendingXhrs.set(this, onLoadEnd);
+    this.addEventListener('loadend', onLoadEnd);
     
       return origSend.apply(this, arguments);
-    };
+    });
     
     // Mark as wrapped
     XMLHttpRequest.prototype.open.__weblayerWrapped = true;
     XMLHttpRequest.prototype.send.__weblayerWrapped = true;
+    XMLHttpRequest.prototype.setRequestHeader.__weblayerWrapped = true;
   }
 
+  // WebSocket / EventSource / sendBeacon
+  const connectionMonitor = createConnectionMonitor((eventType, eventName, eventData) => {
+    enqueue(createEvent({
+      event_type: eventType, event_name: eventName,
+      event_data: eventData
+    }));
+  });
+  cleanups.push(() => connectionMonitor.destroy());
+
+  if (typeof window.WebSocket === 'function' && !window.WebSocket.__weblayerWrapped) {
+    patch(window, 'WebSocket', connectionMonitor.wrapWebSocket(window.WebSocket));
+    window.WebSocket.__weblayerWrapped = true;
+  }
+  if (typeof window.EventSource === 'function' && !window.EventSource.__weblayerWrapped) {
+    patch(window, 'EventSource', connectionMonitor.wrapEventSource(window.EventSource));
+    window.EventSource.__weblayerWrapped = true;
+  }
+  // transport.js keeps the unwrapped sendBeacon, so SDK uploads aren't tracked
+  if (typeof navigator.sendBeacon === 'function' && !navigator.sendBeacon.__weblayerWrapped) {
+    patch(navigator, 'sendBeacon', connectionMonitor.wrapSendBeacon(navigator.sendBeacon));
+    navigator.sendBeacon.__weblayerWrapped = true;
+  }
+  listen(window, 'pagehide', () => {
+    try {
+      connectionMonitor.report();
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to report connections:', e);
+    }
+  });
+
+  replayRecorder = createReplayRecorder(config.replay, (chunk, unload) => {
+    sendReplayChunk(Object.assign({ org_id: config.org_id, visitor_id: activeVisitorId }, chunk), unload, persistReplayChunk);
+  });
+  cleanups.push(() => replayRecorder.stop(true));
+  startReplay();
+
   // media events
   const trackedMediaElements = new WeakSet();
   
@@ -417,21 +1116,17 @@ export function initWeblayerEmitter(visitorId) {
     const mediaEvents = ['play', 'pause', 'ended', 'seeking', 'timeupdate', 'volumechange', 'error'];
     
     mediaEvents.forEach(eventName => {
-      element.addEventListener(eventName, (e) => {
+      listen(element, eventName, (e) => {
         try {
-          const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
           const mediaEl = e.target;
           const src = mediaEl.src || (mediaEl.srcObject ? 'blob/object' : null) || null;
           
           // Only track if element still has src
           if (!src && !mediaEl.srcObject) return;
           
-          enqueue({
-            ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-            session_id: sid2,
-            page_url: window.location.href, referrer: document.referrer || null,
+          enqueue(createEvent({
             event_type: 'media', event_name: eventName,
-            event_data: {
+            event_data: Object.assign({
               element_type: mediaEl.tagName.toLowerCase(),
               src: safeSnippet(src, 200),
               current_time: mediaEl.currentTime || null,
@@ -439,8 +1134,8 @@ export function initWeblayerEmitter(visitorId) {
               volume: mediaEl.volume !== undefined ? mediaEl.volume : null,
               muted: mediaEl.muted !== undefined ? mediaEl.muted : null,
               paused: mediaEl.paused !== undefined ? mediaEl.paused : null
-            }
-          });
+            }, targetFields(mediaEl, ''))
+          }));
         } catch (e) {
           if (config.debug) console.warn(`[weblayer] Failed to track media ${eventName}:`, e);
         }
@@ -488,34 +1183,64 @@ export function initWeblayerEmitter(visitorId) {
         childList: true,
         subtree: true
       });
+      cleanups.push(() => mediaObserver.disconnect());
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to set up media observer:', e);
     }
   }
 
+  // rage clicks: bursts of fast clicks on the same element
+  const rageClickDetector = createRageClickDetector(config.rageClick, (burst) => {
+    try {
+      const t = burst.target;
+      inFrame(frameOf(t), () => enqueue(createEvent({
+        event_type: 'frustration', event_name: 'rage_click',
+        event_data: {
+          element: Object.assign({
+            tag: t.tagName.toLowerCase(),
+            id: t.id || null,
+            classes: t.className || null,
+            text: safeSnippet(elementText(t)),
+            href: t.href || null
+          }, targetFields(t, '')),
+          click_count: burst.count,
+          duration_ms: burst.last.time - burst.first.time,
+          x: burst.first.x,
+          y: burst.first.y,
+          ended_in_dead_click: burst.endedInDeadClick
+        }
+      })));
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to track rage click:', e);
+    }
+  });
+  cleanups.push(() => rageClickDetector.destroy());
+
   // clicks (lightweight; no PII) + dead-click detection
-  document.addEventListener('click', (e) => {
-    const t = e.target;
+  listenDocument('click', (e) => {
+    const t = composedTarget(e);
     if (!t || !t.tagName) return;
-    const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
+    const rageRecord = rageClickDetector.recordClick({ target: t, x: e.clientX, y: e.clientY, time: Date.now() });
+    const clickPerfTime = eventPerfTime(e);
     
     // Track the click event
-    enqueue({
-      ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-      session_id: sid2,
-      page_url: window.location.href, referrer: document.referrer || null,
+    enqueue(createEvent({
       event_type: 'click', event_name: t.tagName.toLowerCase(),
-      event_data: {
+      event_data: Object.assign({
         id: t.id || null,
         classes: t.className || null,
-        text: safeSnippet(t.textContent)
-      }
-    });
+        text: safeSnippet(elementText(t)),
+        long_task: longTaskMonitor.overlap(clickPerfTime, performance.now()),
+        // Keyboard-activated clicks have no pointer position
+        position: e.detail === 0 && e.clientX === 0 && e.clientY === 0 ? null : pointerPosition(e.clientX, e.clientY, t)
+      }, targetFields(t, ''))
+    }));
     
     // Dead-click detection: Check if click produced any response
+    // Taken after the click's own event (and a session_start it may have caused)
     const checkpoint = {
       url: window.location.href,
-      queueLength: queue.length,
+      enqueuedCount: enqueuedCount,
       timestamp: Date.now()
     };
     
@@ -523,39 +1248,40 @@ export function initWeblayerEmitter(visitorId) {
     let activityDetected = false;
     
     // Track if network activity starts (even if not completed yet)
-    const networkCheckInterval = setInterval(() => {
-      if (queue.length > checkpoint.queueLength) {
+    const networkCheckInterval = every(() => {
+      if (enqueuedCount > checkpoint.enqueuedCount) {
         activityDetected = true;
-        clearInterval(networkCheckInterval);
+        cancelTimer(networkCheckInterval);
       }
     }, 50); // Check every 50ms for network activity
     
     // Detect focus changes (lightweight check)
+    const doc = t.ownerDocument || document; // a frame's document for clicks inside it
     const focusHandler = () => { activityDetected = true; };
-    document.addEventListener('focusin', focusHandler, { once: true, capture: true });
+    doc.addEventListener('focusin', focusHandler, { once: true, capture: true });
     
     // Cleanup function
     const cleanup = () => {
-      clearInterval(networkCheckInterval);
-      document.removeEventListener('focusin', focusHandler, true);
+      cancelTimer(networkCheckInterval);
+      doc.removeEventListener('focusin', focusHandler, true);
     };
     
     // Compute DOM fingerprint to detect changes
     const getDOMFingerprint = () => {
       try {
         // Check multiple signals of DOM activity
-        const visibleText = document.body.innerText.slice(0, 1000);
-        const modalCount = document.querySelectorAll('[role="dialog"], .modal, .popup').length;
+        const visibleText = doc.body.innerText.slice(0, 1000);
+        const modalCount = doc.querySelectorAll('[role="dialog"], .modal, .popup').length;
         
         // Loading indicators (visible or hidden)
-        const loadingIndicators = document.querySelectorAll(
+        const loadingIndicators = doc.querySelectorAll(
           '[class*="loading"], [class*="spinner"], [class*="Loading"], [class*="Spinner"], ' +
           '[aria-busy="true"], [data-loading="true"], ' +
           'svg[class*="spin"], svg[class*="rotate"]'  // Animated spinners
         ).length;
         
         // Disabled states (buttons often get disabled during loading)
-        const disabledElements = document.querySelectorAll('button:disabled, input:disabled').length;
+        const disabledElements = doc.querySelectorAll('button:disabled, input:disabled').length;
         
         // Class changes on the clicked element or its parents (React often toggles classes)
         let clickedElementState = '';
@@ -590,13 +1316,14 @@ export function initWeblayerEmitter(visitorId) {
         // If something happened, it's not a dead-click
         if (didNavigate || domChanged || activityDetected) {
           cleanup();
+          rageClickDetector.resolveClick(rageRecord, false);
           return; // Not a dead-click
         }
         
         // If this is final check and still nothing happened, report dead-click
         if (checkNumber === 2) {
           cleanup();
-          const computedStyle = window.getComputedStyle(t);
+          const computedStyle = (doc.defaultView || window).getComputedStyle(t);
           const hasClickHandler = !!(t.onclick || t.getAttribute('onclick'));
           const cursorStyle = computedStyle.cursor;
           const isInteractiveTag = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'].includes(t.tagName);
@@ -612,95 +1339,86 @@ export function initWeblayerEmitter(visitorId) {
                                     (cursorStyle === 'pointer' && !hasLabel);
           
           if (shouldCauseChange) {
-            const sid3 = sessionStorage.getItem('weblayer_session_id') || sid;
-            enqueue({
-              ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-              session_id: sid3,
-              page_url: window.location.href, referrer: document.referrer || null,
+            enqueue(createEvent({
               event_type: 'dead_click', event_name: 'no_response',
               event_data: {
-                element: {
+                element: Object.assign({
                   tag: t.tagName.toLowerCase(),
                   id: t.id || null,
                   classes: t.className || null,
-                  text: safeSnippet(t.textContent),
+                  text: safeSnippet(elementText(t)),
                   href: t.href || null
-                },
+                }, targetFields(t, '')),
                 context: {
                   expected_interactive: isInteractiveTag,
                   has_click_handler: hasClickHandler,
                   cursor_style: cursorStyle,
-                  time_since_click: Date.now() - checkpoint.timestamp
+                  time_since_click: Date.now() - checkpoint.timestamp,
+                  long_task: longTaskMonitor.overlap(clickPerfTime, performance.now())
                 }
               }
-            });
+            }));
           }
+          rageClickDetector.resolveClick(rageRecord, shouldCauseChange);
         }
       } catch (err) {
         // Silently fail - don't break user experience
         if (config.debug) console.warn('[weblayer] Dead-click detection failed:', err);
+        rageClickDetector.resolveClick(rageRecord, false);
       }
     };
     
     // Check at 500ms, then again at 1500ms to catch slow responses
-    setTimeout(() => checkForResponse(1), 500);
-    setTimeout(() => checkForResponse(2), 1500);
+    later(() => checkForResponse(1), 500);
+    later(() => checkForResponse(2), 1500);
   }, { capture: true });
 
   // hover/pointer movements
   const hoverStartTimes = new WeakMap();
   let hoverThrottleTimer = null;
   
-  document.addEventListener('mouseenter', (e) => {
+  listenDocument('mouseenter', (e) => {
     try {
-      const target = e.target;
+      const target = composedTarget(e);
       if (!target || !target.tagName) return;
       
       const startTime = Date.now();
       hoverStartTimes.set(target, startTime);
       
       // Throttle to avoid flooding
-      clearTimeout(hoverThrottleTimer);
-      hoverThrottleTimer = setTimeout(() => {
-        const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-        enqueue({
-          ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-          session_id: sid2,
-          page_url: window.location.href, referrer: document.referrer || null,
+      cancelTimer(hoverThrottleTimer);
+      hoverThrottleTimer = later(() => {
+        enqueue(createEvent({
           event_type: 'hover', event_name: 'mouseenter',
-          event_data: {
+          event_data: Object.assign({
             target_tag: target.tagName.toLowerCase(),
             target_id: target.id || null,
             target_classes: target.className || null
-          }
-        });
+          }, targetFields(target, 'target_'))
+        }));
       }, 100);
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track mouseenter:', e);
     }
   }, { capture: true });
 
-  document.addEventListener('mouseleave', (e) => {
+  listenDocument('mouseleave', (e) => {
     try {
-      const target = e.target;
+      const target = composedTarget(e);
       if (!target || !target.tagName) return;
       
       const startTime = hoverStartTimes.get(target);
       const duration = startTime ? Date.now() - startTime : null;
       
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      enqueue(createEvent({
         event_type: 'hover', event_name: 'mouseleave',
-        event_data: {
+        event_data: Object.assign({
           target_tag: target.tagName.toLowerCase(),
           target_id: target.id || null,
           target_classes: target.className || null,
           duration_ms: duration
-        }
-      });
+        }, targetFields(target, 'target_'))
+      }));
       
       hoverStartTimes.delete(target);
     } catch (e) {
@@ -710,9 +1428,9 @@ export function initWeblayerEmitter(visitorId) {
 
   // Track mouseover on interactive elements (throttled)
   let mouseoverThrottleTimer = null;
-  document.addEventListener('mouseover', (e) => {
+  listenDocument('mouseover', (e) => {
     try {
-      const target = e.target;
+      const target = composedTarget(e);
       if (!target || !target.tagName) return;
       
       const tagName = target.tagName.toLowerCase();
@@ -722,20 +1440,16 @@ export function initWeblayerEmitter(visitorId) {
       
       if (!isInteractive) return;
       
-      clearTimeout(mouseoverThrottleTimer);
-      mouseoverThrottleTimer = setTimeout(() => {
-        const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-        enqueue({
-          ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-          session_id: sid2,
-          page_url: window.location.href, referrer: document.referrer || null,
+      cancelTimer(mouseoverThrottleTimer);
+      mouseoverThrottleTimer = later(() => {
+        enqueue(createEvent({
           event_type: 'hover', event_name: 'hover',
-          event_data: {
+          event_data: Object.assign({
             target_tag: tagName,
             target_id: target.id || null,
             target_classes: target.className || null
-          }
-        });
+          }, targetFields(target, 'target_'))
+        }));
       }, 100);
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track mouseover:', e);
@@ -744,75 +1458,69 @@ export function initWeblayerEmitter(visitorId) {
 
   // touch events
   let touchMoveTimer = null;
-  document.addEventListener('touchstart', (e) => {
+  listenDocument('touchstart', (e) => {
     try {
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       const touch = e.touches[0];
-      const target = e.target;
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      const target = composedTarget(e);
+      enqueue(createEvent({
         event_type: 'touch', event_name: 'touchstart',
-        event_data: {
+        event_data: Object.assign({
           x: touch ? touch.clientX : null,
           y: touch ? touch.clientY : null,
           target_id: target ? target.id || null : null,
           target_tag: target ? target.tagName ? target.tagName.toLowerCase() : null : null,
           target_classes: target ? target.className || null : null,
-          touches_count: e.touches.length
-        }
-      });
+          touches_count: e.touches.length,
+          position: touch ? pointerPosition(touch.clientX, touch.clientY, target) : null
+        }, targetFields(target, 'target_'))
+      }));
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track touchstart:', e);
     }
   }, { capture: true });
 
-  document.addEventListener('touchend', (e) => {
+  listenDocument('touchend', (e) => {
     try {
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       const touch = e.changedTouches[0];
-      const target = e.target;
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      const target = composedTarget(e);
+      enqueue(createEvent({
         event_type: 'touch', event_name: 'touchend',
-        event_data: {
+        event_data: Object.assign({
           x: touch ? touch.clientX : null,
           y: touch ? touch.clientY : null,
           target_id: target ? target.id || null : null,
           target_tag: target ? target.tagName ? target.tagName.toLowerCase() : null : null,
           target_classes: target ? target.className || null : null,
-          touches_count: e.changedTouches.length
-        }
-      });
+          touches_count: e.changedTouches.length,
+          position: touch ? pointerPosition(touch.clientX, touch.clientY, target) : null
+        }, targetFields(target, 'target_'))
+      }));
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track touchend:', e);
     }
   }, { capture: true });
 
-  document.addEventListener('touchmove', (e) => {
+  listenDocument('touchmove', (e) => {
     try {
-      clearTimeout(touchMoveTimer);
-      touchMoveTimer = setTimeout(() => {
-        const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-        const touch = e.touches[0];
-        const target = e.target;
-        enqueue({
-          ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-          session_id: sid2,
-          page_url: window.location.href, referrer: document.referrer || null,
+      // The composed path is only available while the event is dispatched
+      const target = composedTarget(e);
+      const touch = e.touches[0];
+      // Scroll offset and layout as of the move, not as of the report
+      const position = touch ? pointerPosition(touch.clientX, touch.clientY, target) : null;
+      cancelTimer(touchMoveTimer);
+      touchMoveTimer = later(() => {
+        enqueue(createEvent({
           event_type: 'touch', event_name: 'touchmove',
-          event_data: {
+          event_data: Object.assign({
             x: touch ? touch.clientX : null,
             y: touch ? touch.clientY : null,
             target_id: target ? target.id || null : null,
             target_tag: target ? target.tagName ? target.tagName.toLowerCase() : null : null,
             target_classes: target ? target.className || null : null,
-            touches_count: e.touches.length
-          }
-        });
+            touches_count: e.touches.length,
+            position: position
+          }, targetFields(target, 'target_'))
+        }));
       }, 100); // Throttle touchmove to avoid flooding
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track touchmove:', e);
@@ -859,20 +1567,20 @@ export function initWeblayerEmitter(visitorId) {
                             elementRight > viewportLeft && 
                             elementLeft < viewportRight;
 
-            if (isVisible && rect.width > 0 && rect.height > 0) {
+            if (isVisible && rect.width > 0 && rect.height > 0 && !isIgnored(el)) {
               const tagName = el.tagName ? el.tagName.toLowerCase() : '';
               
               if (tagName.match(/^h[1-6]$/) || el.getAttribute('role') === 'heading') {
-                const headingText = safeSnippet(el.textContent || el.innerText, 200);
+                const headingText = safeSnippet(elementText(el), 200);
                 if (headingText) {
                   headings.push({ level: tagName, text: headingText });
                 }
               } else if (tagName === 'img') {
-                const alt = safeSnippet(el.alt, 100);
+                const alt = safeSnippet(isMasked(el) ? maskText(el.alt) : el.alt, 100);
                 const src = safeSnippet(el.src, 200);
                 images.push({ alt: alt || null, src: src || null });
               } else if (tagName === 'p' || el.textContent) {
-                const text = safeSnippet(el.textContent || el.innerText, 300);
+                const text = safeSnippet(elementText(el), 300);
                 if (text && !textSnippets.includes(text)) {
                   textSnippets.push(text);
                   if (textSnippets.join(' ').length >= maxContentLength) return;
@@ -897,15 +1605,15 @@ export function initWeblayerEmitter(visitorId) {
         samplePoints.forEach(([x, y]) => {
           try {
             const el = document.elementFromPoint(x - viewportLeft, y - viewportTop);
-            if (el) {
+            if (el && !isIgnored(el)) {
               const tagName = el.tagName ? el.tagName.toLowerCase() : '';
               if (tagName.match(/^h[1-6]$/)) {
-                const headingText = safeSnippet(el.textContent, 200);
+                const headingText = safeSnippet(elementText(el), 200);
                 if (headingText) {
                   headings.push({ level: tagName, text: headingText });
                 }
               } else if (el.textContent) {
-                const text = safeSnippet(el.textContent, 300);
+                const text = safeSnippet(elementText(el), 300);
                 if (text && !textSnippets.includes(text)) {
                   textSnippets.push(text);
                 }
@@ -932,7 +1640,6 @@ export function initWeblayerEmitter(visitorId) {
   function recordScrollStop(scrollX, scrollY, direction) {
     try {
       const now = Date.now();
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       const visibleContent = captureVisibleContent();
 
       const scrollStop = {
@@ -949,12 +1656,12 @@ export function initWeblayerEmitter(visitorId) {
 
       // Clear any existing duration update interval
       if (durationUpdateInterval) {
-        clearInterval(durationUpdateInterval);
+        cancelTimer(durationUpdateInterval);
         durationUpdateInterval = null;
       }
 
       // Periodically update duration while at stop (every 2 seconds)
-      durationUpdateInterval = setInterval(() => {
+      durationUpdateInterval = every(() => {
         if (currentScrollStop && currentScrollStop.stop_time) {
           const duration = Date.now() - currentScrollStop.stop_time;
           // Update duration but don't enqueue yet - wait for next scroll or unload
@@ -970,13 +1677,9 @@ export function initWeblayerEmitter(visitorId) {
     if (!currentScrollStop) return;
     
     try {
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       const duration = Date.now() - (currentScrollStop.stop_time || Date.now());
 
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      enqueue(createEvent({
         event_type: 'scroll', event_name: 'scroll_stop',
         event_data: {
           scroll_x: currentScrollStop.scroll_x,
@@ -987,11 +1690,11 @@ export function initWeblayerEmitter(visitorId) {
           scroll_direction: currentScrollStop.scroll_direction,
           duration_ms: duration
         }
-      });
+      }));
 
       currentScrollStop = null;
       if (durationUpdateInterval) {
-        clearInterval(durationUpdateInterval);
+        cancelTimer(durationUpdateInterval);
         durationUpdateInterval = null;
       }
     } catch (e) {
@@ -1000,12 +1703,12 @@ export function initWeblayerEmitter(visitorId) {
   }
 
   // Throttled scroll event listener
-  window.addEventListener('scroll', () => {
+  listen(window, 'scroll', () => {
     try {
-      clearTimeout(scrollTimer);
-      clearTimeout(scrollStopTimer);
+      cancelTimer(scrollTimer);
+      cancelTimer(scrollStopTimer);
 
-      scrollTimer = setTimeout(() => {
+      scrollTimer = later(() => {
         const scrollX = window.scrollX || window.pageXOffset || 0;
         const scrollY = window.scrollY || window.pageYOffset || 0;
         const now = Date.now();
@@ -1029,7 +1732,7 @@ export function initWeblayerEmitter(visitorId) {
         lastScrollTime = now;
 
         // Set timer to detect scroll stop (600ms delay)
-        scrollStopTimer = setTimeout(() => {
+        scrollStopTimer = later(() => {
           const finalScrollX = window.scrollX || window.pageXOffset || 0;
           const finalScrollY = window.scrollY || window.pageYOffset || 0;
           const finalDirection = direction || (finalScrollY > (lastScrollY || 0) ? 'down' : finalScrollY < (lastScrollY || 0) ? 'up' : null);
@@ -1041,12 +1744,15 @@ export function initWeblayerEmitter(visitorId) {
     }
   }, { passive: true });
 
+  // Record the pending scroll stop before teardown
+  finalizers.push(flushScrollStop);
+
   // Flush scroll stop on page unload/visibility change
-  window.addEventListener('beforeunload', () => {
+  listen(window, 'pagehide', () => {
     flushScrollStop();
   });
 
-  document.addEventListener('visibilitychange', () => {
+  listen(document, 'visibilitychange', () => {
     if (document.hidden) {
       flushScrollStop();
     }
@@ -1055,51 +1761,44 @@ export function initWeblayerEmitter(visitorId) {
   // text selection and copy
   let selectionChangeTimer = null;
   
-  document.addEventListener('selectstart', (e) => {
+  listenDocument('selectstart', (e) => {
     try {
-      const target = e.target;
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      const target = composedTarget(e);
+      enqueue(createEvent({
         event_type: 'selection', event_name: 'selectstart',
-        event_data: {
+        event_data: Object.assign({
           target_tag: target ? target.tagName ? target.tagName.toLowerCase() : null : null
-        }
-      });
+        }, targetFields(target, 'target_'))
+      }));
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track selectstart:', e);
     }
   }, { capture: true });
 
-  document.addEventListener('selectionchange', () => {
+  listenDocument('selectionchange', (e) => {
     try {
-      clearTimeout(selectionChangeTimer);
-      selectionChangeTimer = setTimeout(() => {
+      const doc = e && e.target && e.target.nodeType === 9 ? e.target : document;
+      cancelTimer(selectionChangeTimer);
+      selectionChangeTimer = later(() => {
         try {
-          const selection = window.getSelection();
+          const selection = (doc.defaultView || window).getSelection();
           if (!selection || selection.rangeCount === 0) return;
           
           const range = selection.getRangeAt(0);
           const selectedText = range.toString();
           if (!selectedText || selectedText.trim().length === 0) return;
           
-          const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
           
-          enqueue({
-            ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-            session_id: sid2,
-            page_url: window.location.href, referrer: document.referrer || null,
+          enqueue(createEvent({
             event_type: 'selection', event_name: 'selectionchange',
-            event_data: {
-              text_snippet: safeSnippet(selectedText, 200),
+            event_data: Object.assign({
+              text_snippet: safeSnippet(rangeText(range), 200),
               text_length: selectedText.length,
               target_tag: range.commonAncestorContainer && range.commonAncestorContainer.nodeType === 1
                 ? range.commonAncestorContainer.tagName ? range.commonAncestorContainer.tagName.toLowerCase() : null
                 : null
-            }
-          });
+            }, targetFields(range.commonAncestorContainer, 'target_'))
+          }));
         } catch (e) {
           // Silently fail
         }
@@ -1109,30 +1808,27 @@ export function initWeblayerEmitter(visitorId) {
     }
   });
 
-  document.addEventListener('copy', (e) => {
+  listenDocument('copy', (e) => {
     try {
-      const selection = window.getSelection();
+      const target = composedTarget(e);
+      const selection = ((target && target.ownerDocument && target.ownerDocument.defaultView) || window).getSelection();
       if (!selection || selection.rangeCount === 0) return;
       
       const range = selection.getRangeAt(0);
       const copiedText = range.toString();
       if (!copiedText || copiedText.trim().length === 0) return;
       
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      enqueue(createEvent({
         event_type: 'selection', event_name: 'copy',
-        event_data: {
-          text_snippet: safeSnippet(copiedText, 200),
+        event_data: Object.assign({
+          text_snippet: safeSnippet(rangeText(range), 200),
           text_length: copiedText.length,
           target_tag: range.commonAncestorContainer && range.commonAncestorContainer.nodeType === 1
             ? range.commonAncestorContainer.tagName ? range.commonAncestorContainer.tagName.toLowerCase() : null
             : null
-        }
-      });
+        }, targetFields(range.commonAncestorContainer, 'target_'))
+      }));
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track copy:', e);
     }
@@ -1142,133 +1838,224 @@ export function initWeblayerEmitter(visitorId) {
   const origPushState = history.pushState;
   const origReplaceState = history.replaceState;
   
-  history.pushState = function() {
+  patch(history, 'pushState', function() {
     flushScrollStop(); // Flush scroll stop before navigation
     origPushState.apply(this, arguments);
-    const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-    enqueue({
-      ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-      session_id: sid2,
-      page_url: window.location.href, referrer: document.referrer || null,
+    enqueue(createEvent({
       event_type: 'navigation', event_name: 'pushstate',
       event_data: { title: document.title, state: arguments[0] }
-    });
-  };
+    }));
+  });
   
-  history.replaceState = function() {
+  patch(history, 'replaceState', function() {
     flushScrollStop(); // Flush scroll stop before navigation
     origReplaceState.apply(this, arguments);
-    const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-    enqueue({
-      ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-      session_id: sid2,
-      page_url: window.location.href, referrer: document.referrer || null,
+    enqueue(createEvent({
       event_type: 'navigation', event_name: 'replacestate',
       event_data: { title: document.title, state: arguments[0] }
-    });
-  };
+    }));
+  });
   
-  window.addEventListener('popstate', (e) => {
+  listen(window, 'popstate', (e) => {
     flushScrollStop(); // Flush scroll stop before navigation
-    const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-    enqueue({
-      ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-      session_id: sid2,
-      page_url: window.location.href, referrer: document.referrer || null,
+    enqueue(createEvent({
       event_type: 'navigation', event_name: 'popstate',
       event_data: { title: document.title, state: e.state }
-    });
+    }));
   });
 
   // window resize (debounced)
   let resizeTimer = null;
-  window.addEventListener('resize', () => {
+  listen(window, 'resize', () => {
     try {
-      clearTimeout(resizeTimer);
-      resizeTimer = setTimeout(() => {
-        const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
-        enqueue({
-          ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-          session_id: sid2,
-          page_url: window.location.href, referrer: document.referrer || null,
+      cancelTimer(resizeTimer);
+      resizeTimer = later(() => {
+        enqueue(createEvent({
           event_type: 'resize', event_name: 'window_resize',
           event_data: { width: window.innerWidth, height: window.innerHeight }
-        });
+        }));
       }, 300);
     } catch (e) {
       if (config.debug) console.warn('[weblayer] Failed to track resize:', e);
     }
   });
 
-  // Flush on page unload to avoid losing events
-  window.addEventListener('beforeunload', () => {
-    flush();
+  // page performance (Core Web Vitals + navigation timing), reported at pagehide
+  const performanceCollector = createPerformanceCollector(cssSelector);
+  cleanups.push(() => performanceCollector.destroy());
+  let performanceReported = false;
+
+  listen(window, 'pagehide', () => {
+    if (performanceReported) return;
+    try {
+      const metrics = performanceCollector.report();
+      if (!metrics) return;
+      performanceReported = true;
+      enqueue(createEvent({
+        event_type: 'performance', event_name: 'page_vitals',
+        event_data: metrics
+      }));
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to report performance:', e);
+    }
   });
-  
-  // page visibility tracking (active vs inactive time)
-  let visibilityStartTime = Date.now();
-  let cumulativeActiveTime = 0;
-  let cumulativeInactiveTime = 0;
-  let lastVisibilityChange = Date.now();
-  let visibilityUpdateInterval = null;
-  
-  function updateVisibilityTracking() {
-    const now = Date.now();
-    if (!document.hidden) {
-      // Page is visible - accumulate active time
-      cumulativeActiveTime += (now - lastVisibilityChange);
-    } else {
-      // Page is hidden - accumulate inactive time
-      cumulativeInactiveTime += (now - lastVisibilityChange);
+
+  // shadow roots: events that don't cross the shadow boundary (submit,
+  // change, ...) never reach the document, and closed roots hide their inner
+  // targets, so listen inside the root as well
+  const NON_COMPOSED_EVENTS = ['invalid', 'change', 'submit', 'selectstart'];
+  const attachedRoots = new WeakSet();
+
+  function attachToShadowRoot(root, host, closed) {
+    if (attachedRoots.has(root)) return;
+    attachedRoots.add(root);
+    if (closed) {
+      closedShadowHosts.add(host);
+      // Events aimed at the host itself never enter the root. Not in the
+      // capture phase, so events from inside the root reach the root
+      // listener first.
+      documentListeners.forEach(({ type, handler, handled }) => {
+        listen(host, type, (e) => {
+          if (handled.has(e) || composedTarget(e) !== host) return;
+          handled.add(e);
+          inFrame(frameOf(host), () => handler(e));
+        }, false);
+      });
     }
-    lastVisibilityChange = now;
+    documentListeners.forEach(({ type, handler, options, handled }) => {
+      if (!closed && !NON_COMPOSED_EVENTS.includes(type)) return;
+      listen(root, type, (e) => {
+        if (handled.has(e)) return;
+        // Slotted light-DOM children are the document's (or an outer root's)
+        const target = composedTarget(e);
+        if (!target || typeof target.getRootNode !== 'function' || target.getRootNode() !== root) return;
+        handled.add(e);
+        inFrame(frameOf(root), () => handler(e));
+      }, options);
+    });
   }
+
+  // Open roots created before init (components upgraded before the SDK
+  // loaded); closed ones can't be reached
+  function attachExistingShadowRoots(root) {
+    try {
+      const elements = root.querySelectorAll('*');
+      for (let i = 0; i < elements.length; i++) {
+        const shadow = elements[i].shadowRoot;
+        if (!shadow) continue;
+        attachToShadowRoot(shadow, elements[i], false);
+        attachExistingShadowRoots(shadow);
+      }
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to attach to existing shadow roots:', e);
+    }
+  }
+  attachExistingShadowRoots(document);
+
+  // roots created from now on
+  if (typeof Element !== 'undefined' && typeof Element.prototype.attachShadow === 'function' &&
+      !Element.prototype.attachShadow.__weblayerWrapped) {
+    const origAttachShadow = Element.prototype.attachShadow;
+    patch(Element.prototype, 'attachShadow', function(init) {
+      const root = origAttachShadow.apply(this, arguments);
+      try {
+        attachToShadowRoot(root, this, !!(init && init.mode === 'closed'));
+      } catch (e) {
+        if (config.debug) console.warn('[weblayer] Failed to attach to shadow root:', e);
+      }
+      return root;
+    });
+    Element.prototype.attachShadow.__weblayerWrapped = true;
+  }
+
+  // same-origin iframes: the interaction listeners again, with frame context
+  const frameDocumentRemovers = new Map(); // frame document -> listener removers
+
+  function releaseFrameDocument(doc) {
+    const removers = frameDocumentRemovers.get(doc);
+    frameDocumentRemovers.delete(doc);
+    if (removers) removers.forEach(remove => remove());
+  }
+
+  const frameWatcher = createFrameWatcher((doc, frame, depth) => {
+    const context = () => ({
+      url: doc.location ? doc.location.href : null,
+      selector: cssSelector(frame),
+      name: frame.name || null,
+      depth: depth
+    });
+    frameContexts.set(doc, context);
+    const removers = documentListeners.map((entry) => {
+      const { type, options } = entry;
+      const onDocumentEvent = documentHandler(entry);
+      const listener = (e) => inFrame(context(), () => onDocumentEvent(e));
+      doc.addEventListener(type, listener, options);
+      return () => doc.removeEventListener(type, listener, options);
+    });
+    // Released when the frame navigates away or is removed (kept while the
+    // page sits in the back/forward cache)
+    const win = doc.defaultView;
+    if (win) {
+      const onPageHide = (e) => {
+        if (!e.persisted) releaseFrameDocument(doc);
+      };
+      win.addEventListener('pagehide', onPageHide);
+      removers.push(() => win.removeEventListener('pagehide', onPageHide));
+    }
+    frameDocumentRemovers.set(doc, removers);
+    attachExistingShadowRoots(doc);
+  });
+  cleanups.push(() => frameWatcher.destroy());
+  cleanups.push(() => {
+    frameDocumentRemovers.forEach((removers, doc) => releaseFrameDocument(doc));
+  });
+
+  // Flush on page unload to avoid losing events (beacon survives teardown)
+  listen(window, 'pagehide', () => {
+    sessionTracker.save();
+    flushOnUnload();
+    replayRecorder.flush(true);
+  });
   
-  document.addEventListener('visibilitychange', () => {
+  listen(document, 'visibilitychange', () => {
     try {
       updateVisibilityTracking();
       
-      const sid2 = sessionStorage.getItem('weblayer_session_id') || sid;
       
-      enqueue({
-        ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-        session_id: sid2,
-        page_url: window.location.href, referrer: document.referrer || null,
+      enqueue(createEvent({
         event_type: 'visibility', event_name: document.hidden ? 'hidden' : 'visible',
         event_data: {
           active_time_ms: cumulativeActiveTime,
           inactive_time_ms: cumulativeInactiveTime
         }
-      });
+      }));
       
-      // Flush events when tab is hidden
+      // Flush events when tab is hidden (it may never become visible again)
       if (document.hidden) {
-        flush();
+        sessionTracker.save();
+        flushOnUnload();
+        replayRecorder.flush(true);
         
         // Clear interval when hidden
         if (visibilityUpdateInterval) {
-          clearInterval(visibilityUpdateInterval);
+          cancelTimer(visibilityUpdateInterval);
           visibilityUpdateInterval = null;
         }
       } else {
         // Start periodic updates when visible (every 30 seconds)
         if (visibilityUpdateInterval) {
-          clearInterval(visibilityUpdateInterval);
+          cancelTimer(visibilityUpdateInterval);
         }
-        visibilityUpdateInterval = setInterval(() => {
+        visibilityUpdateInterval = every(() => {
           try {
             updateVisibilityTracking();
-            const sid3 = sessionStorage.getItem('weblayer_session_id') || sid;
-            enqueue({
-              ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-              session_id: sid3,
-              page_url: window.location.href, referrer: document.referrer || null,
+            enqueue(createEvent({
               event_type: 'visibility', event_name: 'active_time_update',
               event_data: {
                 active_time_ms: cumulativeActiveTime,
                 inactive_time_ms: cumulativeInactiveTime
               }
-            });
+            }));
           } catch (e) {
             if (config.debug) console.warn('[weblayer] Failed to update visibility:', e);
           }
@@ -1282,20 +2069,16 @@ export function initWeblayerEmitter(visitorId) {
   // Track initial visibility state
   if (!document.hidden) {
     lastVisibilityChange = Date.now();
-    visibilityUpdateInterval = setInterval(() => {
+    visibilityUpdateInterval = every(() => {
       try {
         updateVisibilityTracking();
-        const sid3 = sessionStorage.getItem('weblayer_session_id') || sid;
-        enqueue({
-          ts: nowTs(), org_id: config.org_id, visitor_id: visitorId,
-          session_id: sid3,
-          page_url: window.location.href, referrer: document.referrer || null,
+        enqueue(createEvent({
           event_type: 'visibility', event_name: 'active_time_update',
           event_data: {
             active_time_ms: cumulativeActiveTime,
             inactive_time_ms: cumulativeInactiveTime
           }
-        });
+        }));
       } catch (e) {
         if (config.debug) console.warn('[weblayer] Failed to update visibility:', e);
       }
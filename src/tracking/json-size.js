@@ -0,0 +1,24 @@
+/**
+ * Approximate JSON length of a value, without building the string
+ * Used where only a size is needed (replay buffer, offline queue cap).
+ */
+
+/**
+ * @param {*} value - JSON-compatible value
+ * @returns {number} About what JSON.stringify(value).length would be
+ */
+export function jsonSize(value) {
+  if (typeof value === 'string') return value.length + 2;
+  if (typeof value === 'number') return String(value).length;
+  if (Array.isArray(value)) {
+    let size = 2;
+    for (let i = 0; i < value.length; i++) size += jsonSize(value[i]) + 1;
+    return size;
+  }
+  if (value && typeof value === 'object') {
+    let size = 2;
+    for (const key in value) size += key.length + 4 + jsonSize(value[key]);
+    return size;
+  }
+  return 4; // null, booleans
+}
@@ -0,0 +1,142 @@
+/**
+ * Long task / long animation frame monitoring
+ * Keeps a short history of main-thread blocking periods so interactions can
+ * be tagged when they overlapped one, and aggregates them for `jank` events.
+ */
+
+const HISTORY_MS = 30000; // Keep long tasks this long for overlap checks
+const BLOCKING_THRESHOLD_MS = 50; // Time beyond this counts as blocking
+const MAX_SCRIPTS = 5; // Script attributions kept per jank report
+
+function scriptsFromEntry(entry) {
+  // long-animation-frame: detailed script attribution
+  if (entry.scripts && entry.scripts.length) {
+    return entry.scripts.map(script => ({
+      source: script.sourceURL || null,
+      function: script.sourceFunctionName || null,
+      invoker: script.invoker || null,
+      duration_ms: Math.round(script.duration)
+    }));
+  }
+  // longtask: only the container is known
+  if (entry.attribution && entry.attribution.length) {
+    return entry.attribution.map(attr => ({
+      source: attr.containerSrc || null,
+      function: null,
+      invoker: attr.containerType ? `${attr.containerType}:${attr.name}` : (attr.name || null),
+      duration_ms: Math.round(entry.duration)
+    }));
+  }
+  return [];
+}
+
+/**
+ * Start observing long tasks and long animation frames
+ * Long animation frames are preferred (they carry script attribution);
+ * longtask entries are used where they aren't supported.
+ * @returns {{overlap: Function, takeSummary: Function, destroy: Function}}
+ */
+export function createLongTaskMonitor() {
+  let history = []; // { start, end, duration }
+  let pending = { count: 0, total: 0, blocking: 0, max: 0, scripts: {} };
+  let observer = null;
+  let entryType = null;
+
+  function record(entries) {
+    const now = performance.now();
+    entries.forEach(entry => {
+      const start = entry.startTime;
+      const end = entry.startTime + entry.duration;
+      history.push({ start, end, duration: entry.duration });
+
+      pending.count++;
+      pending.total += entry.duration;
+      pending.blocking += Math.max(0, entry.duration - BLOCKING_THRESHOLD_MS);
+      pending.max = Math.max(pending.max, entry.duration);
+
+      scriptsFromEntry(entry).forEach(script => {
+        const key = `${script.source}|${script.function}|${script.invoker}`;
+        const existing = pending.scripts[key];
+        if (existing) {
+          existing.duration_ms += script.duration_ms;
+          existing.count++;
+        } else {
+          pending.scripts[key] = Object.assign({ count: 1 }, script);
+        }
+      });
+    });
+    history = history.filter(task => now - task.end < HISTORY_MS);
+  }
+
+  if (typeof PerformanceObserver !== 'undefined') {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    entryType = supported.includes('long-animation-frame') ? 'long-animation-frame'
+      : supported.includes('longtask') ? 'longtask' : null;
+    if (entryType) {
+      try {
+        observer = new PerformanceObserver((list) => record(list.getEntries()));
+        observer.observe({ type: entryType, buffered: true });
+      } catch (e) {
+        observer = null;
+      }
+    }
+  }
+
+  function sync() {
+    // Entries are delivered asynchronously; pull the ones not delivered yet
+    if (observer && observer.takeRecords) {
+      try {
+        record(observer.takeRecords());
+      } catch (e) {
+        // Ignore
+      }
+    }
+  }
+
+  return {
+    /**
+     * Long tasks overlapping [start, end] (performance.now() timestamps)
+     * @returns {Object|null} { count, blocked_ms, max_duration_ms } or null when none
+     */
+    overlap(start, end) {
+      if (!observer) return null;
+      sync();
+      const tasks = history.filter(task => task.start <= end && task.end >= start);
+      if (!tasks.length) return null;
+      return {
+        count: tasks.length,
+        blocked_ms: Math.round(tasks.reduce((sum, task) => sum + Math.min(task.end, end) - Math.max(task.start, start), 0)),
+        max_duration_ms: Math.round(Math.max.apply(null, tasks.map(task => task.duration)))
+      };
+    },
+
+    /**
+     * Aggregate of the long tasks seen since the previous call
+     * @returns {Object|null} Summary for a `jank` event, or null when there were none
+     */
+    takeSummary() {
+      sync();
+      if (!pending.count) return null;
+      const scripts = Object.keys(pending.scripts)
+        .map(key => pending.scripts[key])
+        .sort((a, b) => b.duration_ms - a.duration_ms)
+        .slice(0, MAX_SCRIPTS);
+      const summary = {
+        source: entryType,
+        count: pending.count,
+        total_duration_ms: Math.round(pending.total),
+        total_blocking_ms: Math.round(pending.blocking),
+        max_duration_ms: Math.round(pending.max),
+        scripts: scripts
+      };
+      pending = { count: 0, total: 0, blocking: 0, max: 0, scripts: {} };
+      return summary;
+    },
+
+    destroy() {
+      if (observer) observer.disconnect();
+      observer = null;
+      history = [];
+    }
+  };
+}
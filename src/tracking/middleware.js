@@ -0,0 +1,114 @@
+import config from '../config.js';
+
+/**
+ * Ordered middleware chain run on every event before it is queued
+ * A middleware receives the event and may:
+ * - mutate it and return nothing (or true) to keep it
+ * - return a new event object to replace it
+ * - return null / false to drop it
+ * - return a Promise of any of the above (bounded by middlewareTimeoutMs)
+ * A middleware that throws, rejects or times out is skipped and the event
+ * continues unchanged, so a broken plugin never stops tracking.
+ */
+
+const DEFAULT_TIMEOUT_MS = 1000;
+
+const middlewares = [];
+
+// console.warn is patched once tracking starts (console events); warning
+// through the patched one would run the failing middleware again
+const nativeWarn = console.warn;
+
+/**
+ * Register a middleware (runs after the ones registered before it)
+ * @param {Function} fn - (event) => event | boolean | null | undefined | Promise
+ * @returns {Function} Function that removes the middleware
+ */
+export function useMiddleware(fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('Middleware must be a function');
+  }
+  middlewares.push(fn);
+  return () => {
+    const idx = middlewares.indexOf(fn);
+    if (idx !== -1) middlewares.splice(idx, 1);
+  };
+}
+
+function chain() {
+  // init({ beforeSend }) always runs last
+  return typeof config.beforeSend === 'function'
+    ? middlewares.concat(config.beforeSend)
+    : middlewares.slice();
+}
+
+function isThenable(value) {
+  return value && typeof value.then === 'function';
+}
+
+// Returns the next event, or null when dropped
+function applyResult(ev, result) {
+  if (result === null || result === false) return null;
+  if (result && typeof result === 'object') return result;
+  return ev;
+}
+
+function withTimeout(promise) {
+  const timeoutMs = config.middlewareTimeoutMs || DEFAULT_TIMEOUT_MS;
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(() => reject(new Error(`Middleware timed out after ${timeoutMs}ms`)), timeoutMs);
+    promise.then((value) => {
+      clearTimeout(t);
+      resolve(value);
+    }, (err) => {
+      clearTimeout(t);
+      reject(err);
+    });
+  });
+}
+
+function warn(err) {
+  if (config.debug) nativeWarn.call(console, '[weblayer] Middleware failed, skipping it:', err);
+}
+
+/**
+ * Run the event through the chain
+ * Synchronous middleware keeps the whole chain synchronous so events stay in
+ * order; the chain only goes async from the first middleware returning a Promise.
+ * @param {Object} ev - Event to process
+ * @param {Function} done - Called with the final event, or null when dropped
+ */
+export function runMiddleware(ev, done) {
+  const fns = chain();
+  if (!fns.length) return done(ev);
+
+  const step = (index, current) => {
+    for (let i = index; i < fns.length; i++) {
+      let result;
+      try {
+        result = fns[i](current);
+      } catch (e) {
+        warn(e);
+        continue;
+      }
+
+      if (isThenable(result)) {
+        withTimeout(result).then((value) => {
+          const next = applyResult(current, value);
+          if (!next) return done(null);
+          step(i + 1, next);
+        }, (err) => {
+          warn(err);
+          step(i + 1, current);
+        });
+        return;
+      }
+
+      current = applyResult(current, result);
+      if (!current) return done(null);
+    }
+    done(current);
+  };
+
+  step(0, ev);
+}
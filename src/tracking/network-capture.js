@@ -0,0 +1,391 @@
+import config from '../config.js';
+import { isSensitiveName } from './redaction.js';
+
+/**
+ * Opt-in request/response capture for `network` events
+ *
+ * config.networkCapture = {
+ *   rules: [{
+ *     url: '/api/checkout',              // substring of the absolute URL, or a RegExp
+ *     requestHeaders: ['content-type'],  // allowlists (case-insensitive)
+ *     responseHeaders: ['x-request-id'],
+ *     requestBody: true,
+ *     responseBody: true,
+ *     errorsOnly: true                   // only when status >= 400 or the request failed
+ *   }],
+ *   maxBodyLength: 2048                  // characters kept per body
+ * }
+ *
+ * Nothing is captured unless a rule matches. Only JSON and text bodies are
+ * kept; credential fields (password, token, cvc, ...) are dropped, and the
+ * rest goes through redactEvent() with the event like any other string.
+ */
+
+const DEFAULT_MAX_BODY_LENGTH = 2048;
+
+// Never captured, even when allowlisted
+const BLOCKED_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+
+// Responses larger than this (per Content-Length) are not read at all; bodies
+// without a Content-Length are read up to this size
+const MAX_READ_BYTES = 1024 * 1024;
+
+// Body fields whose value is dropped, compared without case, `-` and `_`.
+// Kept narrow on purpose: fields like `code` or `error_code` are what a failed
+// request is usually captured for.
+const SECRET_FIELDS = [
+  'password', 'passwd', 'pwd', 'newpassword', 'currentpassword', 'secret', 'clientsecret',
+  'token', 'accesstoken', 'refreshtoken', 'idtoken', 'apikey', 'authorization',
+  'otp', 'pin', 'cvc', 'cvv', 'cardnumber'
+];
+
+// "key": "value" / "key": 123 pairs of a JSON body that was cut off at MAX_READ_BYTES
+const JSON_FIELD = /"([^"\\]{1,64})"\s*:\s*("(?:[^"\\]|\\.)*"?|[^,}\]\s]+)/g;
+
+// Give up on response bodies that take longer than this to arrive
+const READ_TIMEOUT_MS = 3000;
+
+// Untyped bodies that look like a=1&b=2
+const FORM_BODY = /^[\w.%\[\]-]+=[^&]*(&[\w.%\[\]-]+=[^&]*)*$/;
+
+const TEXT_TYPE = /json|text\/|xml|x-www-form-urlencoded|javascript|graphql/i;
+
+function settings() {
+  return config.networkCapture || {};
+}
+
+function maxBodyLength() {
+  const max = settings().maxBodyLength;
+  return typeof max === 'number' && max > 0 ? max : DEFAULT_MAX_BODY_LENGTH;
+}
+
+function absoluteUrl(url) {
+  try {
+    return new URL(url, window.location.href).href;
+  } catch (e) {
+    return String(url);
+  }
+}
+
+/**
+ * Find the first capture rule matching a request URL
+ * @param {string} url - Request URL (relative or absolute)
+ * @returns {Object|null} Matching rule, or null when the request isn't captured
+ */
+export function findCaptureRule(url) {
+  const rules = settings().rules;
+  if (!Array.isArray(rules) || !rules.length || !url) return null;
+  const target = absoluteUrl(url);
+  for (let i = 0; i < rules.length; i++) {
+    const pattern = rules[i] && rules[i].url;
+    if (pattern && typeof pattern.test === 'function') {
+      // RegExp (duck-typed: it may come from another realm, e.g. a parent frame)
+      pattern.lastIndex = 0;
+      if (pattern.test(target)) return rules[i];
+    } else if (typeof pattern === 'string' && pattern && target.includes(pattern)) {
+      return rules[i];
+    }
+  }
+  return null;
+}
+
+function headerEntries(headers) {
+  if (!headers) return [];
+  // Raw header block from XHR getAllResponseHeaders()
+  if (typeof headers === 'string') {
+    return headers.trim().split(/[\r\n]+/).map(line => {
+      const idx = line.indexOf(':');
+      return idx === -1 ? null : [line.slice(0, idx).trim(), line.slice(idx + 1).trim()];
+    }).filter(Boolean);
+  }
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    const entries = [];
+    headers.forEach((value, name) => entries.push([name, value]));
+    return entries;
+  }
+  if (Array.isArray(headers)) return headers.filter(pair => pair && pair.length === 2);
+  return Object.keys(headers).map(name => [name, headers[name]]);
+}
+
+/**
+ * Keep allowlisted headers only
+ * @param {Headers|Object|Array|string} headers - Headers in any of the usual shapes
+ * @param {string[]} allowlist - Header names to keep
+ * @returns {Object|null} { name: value } with lower-cased names, or null when empty
+ */
+function pickHeaders(headers, allowlist) {
+  if (!Array.isArray(allowlist) || !allowlist.length) return null;
+  const allowed = allowlist.map(name => String(name).toLowerCase());
+  const out = {};
+  let found = false;
+  headerEntries(headers).forEach(([name, value]) => {
+    const key = String(name).toLowerCase();
+    if (!allowed.includes(key) || BLOCKED_HEADERS.includes(key)) return;
+    out[key] = isSensitiveName(key) ? '[REDACTED]' : String(value);
+    found = true;
+  });
+  return found ? out : null;
+}
+
+function isSecretField(name) {
+  return typeof name === 'string' && SECRET_FIELDS.includes(name.toLowerCase().replace(/[-_.\s]/g, ''));
+}
+
+function stripSensitive(value, depth) {
+  if (!value || typeof value !== 'object' || depth > 10) return value;
+  if (Array.isArray(value)) return value.map(v => stripSensitive(v, depth + 1));
+  const out = {};
+  Object.keys(value).forEach(key => {
+    out[key] = isSecretField(key) ? '[REDACTED]' : stripSensitive(value[key], depth + 1);
+  });
+  return out;
+}
+
+// Same for JSON that can't be parsed (e.g. cut off at the read limit)
+function stripSensitiveJsonText(text) {
+  return text.replace(JSON_FIELD, (m, key) => isSecretField(key) ? `"${key}":"[REDACTED]"` : m);
+}
+
+function stripSensitiveParams(text) {
+  return text.split('&').map(pair => {
+    const name = pair.split('=')[0];
+    return isSecretField(decodeURIComponentSafe(name)) ? `${name}=[REDACTED]` : pair;
+  }).join('&');
+}
+
+function decodeURIComponentSafe(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (e) {
+    return text;
+  }
+}
+
+function isJson(text, contentType) {
+  if (/json/i.test(contentType || '')) return true;
+  const first = text.trim().charAt(0);
+  return first === '{' || first === '[';
+}
+
+/**
+ * Turn a body into a truncated, secret-stripped string
+ * @param {string} text - Body
+ * @param {string|null} contentType - Content-Type of the body
+ * @param {boolean} partial - Only the start of the body was read
+ * @returns {{body: string, size: number, truncated: boolean}|null}
+ */
+function formatBody(text, contentType, partial) {
+  if (typeof text !== 'string' || !text) return null;
+  let body = text;
+  if (isJson(text, contentType)) {
+    try {
+      body = JSON.stringify(stripSensitive(JSON.parse(text), 0));
+    } catch (e) {
+      // Cut off, or not JSON after all; keep it as text
+      body = stripSensitiveJsonText(text);
+    }
+  } else if (/x-www-form-urlencoded/i.test(contentType || '') || (!contentType && FORM_BODY.test(text))) {
+    body = stripSensitiveParams(text);
+  }
+  const max = maxBodyLength();
+  return { body: body.slice(0, max), size: text.length, truncated: !!partial || body.length > max };
+}
+
+/**
+ * Read at most MAX_READ_BYTES of a (cloned) Request / Response body
+ * @param {Body} source - Request or Response whose body may be consumed
+ * @returns {{promise: Promise<{text: string, partial: boolean}>, cancel: Function}}
+ */
+function readBody(source) {
+  const stream = source.body;
+  if (!stream || typeof stream.getReader !== 'function' || typeof TextDecoder === 'undefined') {
+    return { promise: source.text().then(text => ({ text, partial: false })), cancel() {} };
+  }
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let bytes = 0;
+  const cancel = () => {
+    reader.cancel().catch(() => {});
+  };
+  const pump = () => reader.read().then(({ done, value }) => {
+    if (done) return { text: text + decoder.decode(), partial: false };
+    const chunk = value.byteLength > MAX_READ_BYTES - bytes ? value.subarray(0, MAX_READ_BYTES - bytes) : value;
+    bytes += chunk.byteLength;
+    text += decoder.decode(chunk, { stream: true });
+    if (bytes < MAX_READ_BYTES) return pump();
+    cancel();
+    return { text: text + decoder.decode(), partial: true };
+  });
+  return { promise: pump(), cancel };
+}
+
+// readBody() with READ_TIMEOUT_MS; resolves to null (and stops reading) on timeout or error
+function readBodyWithTimeout(source) {
+  const read = readBody(source);
+  return withTimeout(read.promise, read.cancel);
+}
+
+// Request bodies as passed to fetch() / xhr.send()
+function requestBodyText(body) {
+  if (body === null || body === undefined) return { text: null };
+  if (typeof body === 'string') return { text: body };
+  if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+    return { text: body.toString(), type: 'application/x-www-form-urlencoded' };
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    const fields = {};
+    body.forEach((value, name) => {
+      fields[name] = typeof value === 'string' ? value : '[file]';
+    });
+    return { text: JSON.stringify(fields), type: 'application/json' };
+  }
+  // Blob, ArrayBuffer, streams, documents: not captured
+  return { omitted: 'binary' };
+}
+
+function bodyPart(body, contentType, partial) {
+  const { text, type, omitted } = requestBodyText(body);
+  if (omitted) return { body_omitted: omitted };
+  const formatted = formatBody(text, type || contentType, partial);
+  return formatted ? { body: formatted.body, body_size: formatted.size, body_truncated: formatted.truncated } : null;
+}
+
+function isTextual(contentType) {
+  return !!contentType && TEXT_TYPE.test(contentType) && !/event-stream/i.test(contentType);
+}
+
+function headerValue(headers, name) {
+  const entry = headerEntries(headers).find(([key]) => String(key).toLowerCase() === name);
+  return entry ? String(entry[1]) : null;
+}
+
+// Drop empty fields; null when nothing is left
+function compact(part) {
+  if (!part) return null;
+  const out = {};
+  Object.keys(part).forEach(key => {
+    if (part[key] !== null && part[key] !== undefined) out[key] = part[key];
+  });
+  return Object.keys(out).length ? out : null;
+}
+
+function withTimeout(promise, onTimeout) {
+  return new Promise((resolve) => {
+    const t = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      resolve(null);
+    }, READ_TIMEOUT_MS);
+    promise.then((value) => {
+      clearTimeout(t);
+      resolve(value);
+    }, () => {
+      clearTimeout(t);
+      resolve(null);
+    });
+  });
+}
+
+function shouldCapture(rule, status) {
+  return !(rule.errorsOnly && status > 0 && status < 400);
+}
+
+/**
+ * Start capturing a fetch() call; must run before the request is sent
+ * (a Request body can only be read from a clone taken beforehand)
+ * @param {Object} rule - Rule from findCaptureRule()
+ * @param {RequestInfo} input - fetch() input
+ * @param {RequestInit} init - fetch() init
+ * @returns {{finish: Function}} finish(response|null) resolves to { request, response } or null
+ */
+export function startFetchCapture(rule, input, init) {
+  const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+  const headers = (init && init.headers) || (isRequest ? input.headers : null);
+  const contentType = headerValue(headers, 'content-type');
+
+  let requestBody = Promise.resolve(null);
+  if (rule.requestBody) {
+    if (init && init.body !== undefined) {
+      requestBody = Promise.resolve(bodyPart(init.body, contentType));
+    } else if (isRequest && input.body) {
+      try {
+        requestBody = readBodyWithTimeout(input.clone()).then(read => read && bodyPart(read.text, contentType, read.partial));
+      } catch (e) {
+        // Body already used
+      }
+    }
+  }
+
+  return {
+    finish(res) {
+      if (!shouldCapture(rule, res ? res.status : 0)) return Promise.resolve(null);
+
+      let responseBody = Promise.resolve(null);
+      if (res && rule.responseBody) {
+        const type = res.headers.get('content-type');
+        const length = parseInt(res.headers.get('content-length'), 10);
+        if (!isTextual(type)) {
+          responseBody = Promise.resolve(type ? { body_omitted: 'binary' } : null);
+        } else if (length > MAX_READ_BYTES) {
+          responseBody = Promise.resolve({ body_omitted: 'too_large', body_size: length });
+        } else {
+          try {
+            // Read a clone so the app still gets an unread body
+            responseBody = readBodyWithTimeout(res.clone()).then(read => {
+              const formatted = read && formatBody(read.text, type, read.partial);
+              return formatted ? { body: formatted.body, body_size: formatted.size, body_truncated: formatted.truncated } : null;
+            });
+          } catch (e) {
+            // Body already used
+          }
+        }
+      }
+
+      return Promise.all([requestBody, responseBody]).then(([reqBody, resBody]) => ({
+        request: compact(Object.assign({ headers: pickHeaders(headers, rule.requestHeaders) }, reqBody)),
+        response: res ? compact(Object.assign({ headers: pickHeaders(res.headers, rule.responseHeaders) }, resBody)) : null
+      }));
+    }
+  };
+}
+
+/**
+ * Capture a finished XMLHttpRequest
+ * @param {Object} rule - Rule from findCaptureRule()
+ * @param {XMLHttpRequest} xhr - Request after loadend
+ * @param {Object} requestHeaders - Headers recorded from setRequestHeader()
+ * @param {*} body - Body passed to send()
+ * @returns {Object|null} { request, response } or null when not captured
+ */
+export function captureXhr(rule, xhr, requestHeaders, body) {
+  if (!shouldCapture(rule, xhr.status || 0)) return null;
+
+  const request = Object.assign(
+    { headers: pickHeaders(requestHeaders, rule.requestHeaders) },
+    rule.requestBody ? bodyPart(body, headerValue(requestHeaders, 'content-type')) : null
+  );
+
+  let response = null;
+  if (xhr.status) {
+    const type = xhr.getResponseHeader('content-type');
+    let resBody = null;
+    if (rule.responseBody) {
+      let text = null;
+      try {
+        if (xhr.responseType === '' || xhr.responseType === 'text') text = xhr.responseText;
+        else if (xhr.responseType === 'json' && xhr.response !== null) text = JSON.stringify(xhr.response);
+      } catch (e) {
+        text = null;
+      }
+      if (text !== null && isTextual(type || 'text/plain')) {
+        const formatted = formatBody(text, type);
+        resBody = formatted ? { body: formatted.body, body_size: formatted.size, body_truncated: formatted.truncated } : null;
+      } else if (type) {
+        resBody = { body_omitted: 'binary' };
+      }
+    }
+    response = Object.assign({ headers: pickHeaders(xhr.getAllResponseHeaders(), rule.responseHeaders) }, resBody);
+  }
+
+  return { request: compact(request), response: compact(response) };
+}
@@ -0,0 +1,283 @@
+import config from '../config.js';
+import { sendReplayChunk } from './transport.js';
+import { jsonSize } from './json-size.js';
+
+/**
+ * Durable store for event batches that failed to upload.
+ * Batches are kept in IndexedDB (falling back to localStorage), retried with
+ * exponential backoff + jitter, and survive page reloads. Replay chunks that
+ * could not be handed off on page teardown are stored alongside them.
+ */
+
+const DB_NAME = 'weblayer_sdk';
+const DB_STORE = 'pending_batches';
+const LS_KEY = 'weblayer_pending_batches';
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+let dbPromise = null;
+let retryTimer = null;
+let draining = false;
+
+// Limits come from config (defaults in config.js), read on use so init() options apply
+function maxBytes() {
+  return config.offlineQueueMaxBytes;
+}
+
+function maxAgeMs() {
+  return config.offlineQueueMaxAgeMs;
+}
+
+/**
+ * Exponential backoff with full jitter
+ * attempt 1 -> 0-2s, attempt 2 -> 0-4s, ... capped at 5 minutes
+ */
+function backoffDelay(attempts) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempts));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Open (once) the IndexedDB database
+ * Resolves to null when IndexedDB is unavailable (private mode, old browsers)
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(DB_STORE)) {
+          db.createObjectStore(DB_STORE, { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    } catch (e) {
+      resolve(null);
+    }
+  });
+  return dbPromise;
+}
+
+function idbRequest(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    try {
+      const tx = db.transaction(DB_STORE, mode);
+      const req = fn(tx.objectStore(DB_STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+function lsRead() {
+  try {
+    return JSON.parse(localStorage.getItem(LS_KEY) || '[]');
+  } catch (e) {
+    return [];
+  }
+}
+
+function lsWrite(records) {
+  try {
+    if (records.length) {
+      localStorage.setItem(LS_KEY, JSON.stringify(records));
+    } else {
+      localStorage.removeItem(LS_KEY);
+    }
+  } catch (e) {
+    // localStorage might be full or disabled
+  }
+}
+
+async function getAll() {
+  const db = await openDb();
+  if (db) {
+    try {
+      return (await idbRequest(db, 'readonly', (store) => store.getAll())) || [];
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to read offline queue:', e);
+    }
+  }
+  return lsRead();
+}
+
+async function putRecord(record) {
+  const db = await openDb();
+  if (db) {
+    try {
+      await idbRequest(db, 'readwrite', (store) => store.put(record));
+      return;
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to write offline queue:', e);
+    }
+  }
+  lsWrite(lsRead().filter(r => r.id !== record.id).concat(record));
+}
+
+async function removeRecords(ids) {
+  if (!ids.length) return;
+  const db = await openDb();
+  if (db) {
+    try {
+      await idbRequest(db, 'readwrite', (store) => {
+        ids.forEach(id => store.delete(id));
+        return null;
+      });
+      return;
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Failed to delete from offline queue:', e);
+    }
+  }
+  lsWrite(lsRead().filter(r => !ids.includes(r.id)));
+}
+
+/**
+ * Drop expired batches, then the oldest ones until the store fits the byte cap
+ */
+async function prune() {
+  const now = Date.now();
+  const records = (await getAll()).sort((a, b) => a.created_at - b.created_at);
+  const expired = [];
+  const kept = [];
+
+  records.forEach(r => {
+    if (now - r.created_at > maxAgeMs()) expired.push(r.id);
+    else kept.push(r);
+  });
+
+  let total = kept.reduce((sum, r) => sum + (r.bytes || 0), 0);
+  while (total > maxBytes() && kept.length) {
+    const oldest = kept.shift();
+    total -= oldest.bytes || 0;
+    expired.push(oldest.id);
+  }
+
+  await removeRecords(expired);
+}
+
+async function persist(fields, bytes) {
+  if (bytes > maxBytes()) return; // Would never fit, drop it
+  const now = Date.now();
+  await putRecord(Object.assign({
+    id: `${now}_${Math.random().toString(36).slice(2)}`,
+    bytes: bytes,
+    created_at: now,
+    attempts: 1,
+    next_attempt_at: now + backoffDelay(1)
+  }, fields));
+  await prune();
+}
+
+/**
+ * Persist a batch that failed to upload so it can be retried later
+ * @param {Array<Object>} events - Events from the failed batch
+ */
+export async function persistBatch(events) {
+  if (!events || !events.length) return;
+  try {
+    await persist({ events: events }, jsonSize(events));
+  } catch (e) {
+    if (config.debug) console.warn('[weblayer] Failed to persist batch:', e);
+  }
+}
+
+/**
+ * Persist a replay chunk that could not be sent on page teardown
+ * @param {Object} chunk - Replay payload
+ */
+export async function persistReplayChunk(chunk) {
+  try {
+    await persist({ replay: chunk }, jsonSize(chunk));
+  } catch (e) {
+    if (config.debug) console.warn('[weblayer] Failed to persist replay chunk:', e);
+  }
+}
+
+/**
+ * Retry stored batches that are due, oldest first
+ * Stops at the first failure (the network is most likely still down) and
+ * reschedules itself for the earliest pending batch.
+ * @param {Function} send - async (events) => boolean, true when the batch can be discarded
+ *   (replay chunks go through sendReplayChunk)
+ * @param {boolean} force - Ignore backoff (e.g. when the browser comes back online)
+ */
+export async function drainPending(send, force = false) {
+  if (draining) return;
+  draining = true;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  try {
+    await prune();
+    const now = Date.now();
+    const records = (await getAll()).sort((a, b) => a.created_at - b.created_at);
+
+    for (const record of records) {
+      if (!force && record.next_attempt_at > now) continue;
+
+      const done = record.replay ? await sendReplayChunk(record.replay, false) : await send(record.events);
+      if (done) {
+        await removeRecords([record.id]);
+        continue;
+      }
+
+      record.attempts = (record.attempts || 0) + 1;
+      record.next_attempt_at = Date.now() + backoffDelay(record.attempts);
+      await putRecord(record);
+      break;
+    }
+
+    const remaining = await getAll();
+    if (remaining.length) {
+      const nextAt = Math.min.apply(null, remaining.map(r => r.next_attempt_at || 0));
+      scheduleDrain(send, Math.max(0, nextAt - Date.now()));
+    }
+  } catch (e) {
+    if (config.debug) console.warn('[weblayer] Failed to drain offline queue:', e);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Schedule a drain after the given delay (replaces any pending one)
+ */
+export function scheduleDrain(send, delayMs) {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    drainPending(send);
+  }, delayMs);
+}
+
+/**
+ * Delete every stored batch and cancel pending retries (consent revoked)
+ */
+export async function clearPending() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  try {
+    const records = await getAll();
+    await removeRecords(records.map(r => r.id));
+  } catch (e) {
+    if (config.debug) console.warn('[weblayer] Failed to clear offline queue:', e);
+  }
+  lsWrite([]);
+}
+
+/**
+ * Cancel the scheduled retry (stored batches are kept for the next page load)
+ */
+export function cancelDrain() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+}
@@ -0,0 +1,87 @@
+import config from '../config.js';
+
+/**
+ * Validation and size limits for app-supplied data (custom event properties,
+ * user traits)
+ */
+
+const MAX_NAME_LENGTH = 100;
+const MAX_KEYS = 50;
+const MAX_KEY_LENGTH = 100;
+const MAX_STRING_LENGTH = 1000;
+const MAX_ARRAY_LENGTH = 50;
+const MAX_DEPTH = 3;
+const MAX_BYTES = 8 * 1024;
+
+const NAME_PATTERN = /^[A-Za-z0-9_.:\- ]+$/;
+
+/**
+ * Whether an event name is acceptable
+ * @param {string} name - e.g. "plan_upgraded"
+ */
+export function isValidEventName(name) {
+  return typeof name === 'string' &&
+    name.trim().length > 0 &&
+    name.length <= MAX_NAME_LENGTH &&
+    NAME_PATTERN.test(name);
+}
+
+function sanitizeValue(value, depth) {
+  if (value === null) return null;
+  switch (typeof value) {
+    case 'string':
+      return value.slice(0, MAX_STRING_LENGTH);
+    case 'number':
+      return isFinite(value) ? value : null;
+    case 'boolean':
+      return value;
+    case 'object':
+      if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+      if (depth >= MAX_DEPTH) return undefined;
+      if (Array.isArray(value)) {
+        return value.slice(0, MAX_ARRAY_LENGTH)
+          .map(v => sanitizeValue(v, depth + 1))
+          .filter(v => v !== undefined);
+      }
+      return sanitizeObject(value, depth + 1);
+    default:
+      // functions, symbols, undefined, bigint
+      return undefined;
+  }
+}
+
+function sanitizeObject(obj, depth) {
+  const out = {};
+  let count = 0;
+  Object.keys(obj).forEach(key => {
+    if (count >= MAX_KEYS || key.length > MAX_KEY_LENGTH) return;
+    const value = sanitizeValue(obj[key], depth);
+    if (value === undefined) return;
+    out[key] = value;
+    count++;
+  });
+  return out;
+}
+
+/**
+ * Copy a properties object keeping only JSON-safe values within the limits
+ * Returns null when the input isn't a plain object or is still too large.
+ * @param {Object} properties - App-supplied properties
+ * @returns {Object|null}
+ */
+export function sanitizeProperties(properties) {
+  if (properties === undefined || properties === null) return {};
+  if (typeof properties !== 'object' || Array.isArray(properties)) return null;
+
+  try {
+    const out = sanitizeObject(properties, 0);
+    if (JSON.stringify(out).length > MAX_BYTES) {
+      if (config.debug) console.warn(`[weblayer] Properties exceed ${MAX_BYTES} bytes, dropped`);
+      return null;
+    }
+    return out;
+  } catch (e) {
+    // Circular structures, throwing getters, ...
+    return null;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Rage-click detection: several fast clicks in a small radius on the same element
+ * A burst is reported once it is over (no further click within windowMs) and
+ * the dead-click check of its last click has resolved, so the report can say
+ * whether the burst ended in a dead click.
+ */
+
+const DEFAULTS = {
+  clicks: 3, // clicks needed to count as a rage click
+  windowMs: 1000, // max time between consecutive clicks of a burst
+  radiusPx: 30 // max distance from the first click of the burst
+};
+
+/**
+ * @param {Object} options - { clicks, windowMs, radiusPx }
+ * @param {Function} onRageClick - Called with { target, count, first, last, endedInDeadClick }
+ * @returns {{recordClick: Function, resolveClick: Function, destroy: Function}}
+ */
+export function createRageClickDetector(options, onRageClick) {
+  const settings = Object.assign({}, DEFAULTS, options || {});
+  let burst = null;
+  let finishTimer = null;
+
+  function finish() {
+    const done = burst;
+    burst = null;
+    clearTimeout(finishTimer);
+    finishTimer = null;
+    if (!done || done.clicks.length < settings.clicks) return;
+
+    const last = done.clicks[done.clicks.length - 1];
+    onRageClick({
+      target: done.target,
+      count: done.clicks.length,
+      first: done.clicks[0],
+      last: last,
+      endedInDeadClick: last.deadClick === true
+    });
+  }
+
+  // Finish once the burst window has passed and the last click is resolved
+  function scheduleFinish() {
+    clearTimeout(finishTimer);
+    finishTimer = null;
+    if (!burst) return;
+
+    const last = burst.clicks[burst.clicks.length - 1];
+    const remaining = settings.windowMs - (Date.now() - last.time);
+    if (remaining > 0) {
+      finishTimer = setTimeout(scheduleFinish, remaining);
+    } else if (last.deadClick !== null) {
+      finish();
+    }
+    // else: wait for resolveClick() on the last click
+  }
+
+  function joinsBurst(click) {
+    if (!burst || burst.target !== click.target) return false;
+    const first = burst.clicks[0];
+    const last = burst.clicks[burst.clicks.length - 1];
+    const distance = Math.sqrt(Math.pow(click.x - first.x, 2) + Math.pow(click.y - first.y, 2));
+    return click.time - last.time <= settings.windowMs && distance <= settings.radiusPx;
+  }
+
+  return {
+    /**
+     * Register a click
+     * @param {Object} click - { target, x, y, time }
+     * @returns {Object} Click record to pass to resolveClick() later
+     */
+    recordClick(click) {
+      const record = { target: click.target, x: click.x, y: click.y, time: click.time, deadClick: null };
+      if (!joinsBurst(record)) {
+        finish();
+        burst = { target: record.target, clicks: [] };
+      }
+      burst.clicks.push(record);
+      scheduleFinish();
+      return record;
+    },
+
+    /**
+     * Report the outcome of a click's dead-click check
+     * @param {Object} record - Record returned by recordClick()
+     * @param {boolean} isDead - Whether the click was reported as a dead click
+     */
+    resolveClick(record, isDead) {
+      if (!record || record.deadClick !== null) return;
+      record.deadClick = !!isDead;
+      if (burst && burst.clicks[burst.clicks.length - 1] === record) {
+        scheduleFinish();
+      }
+    },
+
+    destroy() {
+      clearTimeout(finishTimer);
+      finishTimer = null;
+      burst = null;
+    }
+  };
+}
@@ -0,0 +1,320 @@
+import config from '../config.js';
+
+/**
+ * PII redaction for captured text
+ * - Built-in detectors (email, phone, card, iban, token) plus org-supplied rules
+ * - URL-aware redaction for query strings and fragments
+ * - data-weblayer-mask / data-weblayer-ignore attributes for DOM text
+ *
+ * redactEvent() is applied to every event in enqueue(); elementText() is used
+ * where text is read from the DOM so marked subtrees never leave the page.
+ */
+
+const MASK_ATTR = 'data-weblayer-mask';
+const IGNORE_ATTR = 'data-weblayer-ignore';
+const MARKED_SELECTOR = `[${MASK_ATTR}], [${IGNORE_ATTR}]`;
+
+// event_data keys holding URLs (redacted with redactUrl instead of redactText)
+const URL_KEYS = ['url', 'src', 'href', 'page_url', 'referrer', 'filename', 'file'];
+
+// Query/fragment parameters whose value is always dropped, matched against
+// whole parts of the name (access_token, sessionId, X-Api-Key; not signup or keyword)
+const SENSITIVE_PART = /(^|_)(pass|password|passwd|pwd|token|secret|auth|authorization|jwt|(api|access|private|secret)_?key|session|session_?id|sid|sig|signature|otp|credentials?)(_|$)/i;
+// OAuth authorization codes (?code=...); error_code, zip_code, ... are kept
+const SENSITIVE_EXACT = /^code$/i;
+
+const MAX_DEPTH = 6;
+
+function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = digits.charCodeAt(i) - 48;
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(iban) {
+  const compact = iban.replace(/\s+/g, '').toUpperCase();
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (let i = 0; i < rearranged.length; i++) {
+    const code = rearranged.charCodeAt(i);
+    const value = code >= 65 ? String(code - 55) : rearranged[i];
+    for (let j = 0; j < value.length; j++) {
+      remainder = (remainder * 10 + Number(value[j])) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Built-in detectors, applied in order (cards before phones so a card number
+ * isn't half-matched as a phone number)
+ * `test` filters out regex matches that aren't the real thing.
+ */
+const DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  token: {
+    pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+|\bBearer\s+[A-Za-z0-9\-._~+/]+=*|\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}|\bgh[pousr]_[A-Za-z0-9]{20,}|\bxox[abprs]-[A-Za-z0-9-]{10,}|\bAKIA[0-9A-Z]{16}\b|\b[A-Za-z0-9_-]{32,}\b/g,
+    // Long opaque strings only count when they mix letters and digits
+    test: (m) => !/^[A-Za-z0-9_-]{32,}$/.test(m) || (/\d/.test(m) && /[A-Za-z]/.test(m))
+  },
+  iban: {
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    test: ibanValid
+  },
+  card: {
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    test: (m) => luhnValid(m.replace(/\D/g, ''))
+  },
+  phone: {
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{5,16}\d/g,
+    test: (m) => {
+      const value = m.trim();
+      const digits = value.replace(/\D/g, '').length;
+      // Must not be a date like 2024-01-15
+      if (digits < 9 || digits > 15 || /^\d{4}-\d{2}-\d{2}/.test(value)) return false;
+      // Needs a leading + or separators; digits split only by dots are decimals
+      // and version numbers unless grouped like 555.123.4567
+      if (value[0] === '+' || /[\s()-]/.test(value)) return true;
+      return /^\d{2,4}(\.\d{2,4}){2,3}$/.test(value);
+    }
+  }
+};
+
+function redactionConfig() {
+  return config.redaction || {};
+}
+
+// Compiled org rules, rebuilt only when config.redaction.rules is replaced
+let compiledFrom;
+let compiledRules = [];
+
+function compileRules() {
+  const rules = redactionConfig().rules;
+  if (rules === compiledFrom) return compiledRules;
+  compiledFrom = rules;
+  compiledRules = (rules || []).map(rule => {
+    try {
+      const source = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern, 'g');
+      const flags = source.flags.includes('g') ? source.flags : source.flags + 'g';
+      return {
+        pattern: new RegExp(source.source, flags),
+        replacement: rule.replacement || `[REDACTED:${rule.name || 'custom'}]`
+      };
+    } catch (e) {
+      if (config.debug) console.warn('[weblayer] Invalid redaction rule:', rule, e);
+      return null;
+    }
+  }).filter(Boolean);
+  return compiledRules;
+}
+
+/**
+ * Redact PII from a piece of text
+ * @param {string} text - Text to redact
+ * @param {boolean} skipTokens - Don't apply the token detector
+ * @returns {string} Text with detected values replaced by [REDACTED:<type>]
+ */
+export function redactText(text, skipTokens) {
+  if (typeof text !== 'string' || !text) return text;
+  const settings = redactionConfig();
+  if (settings.enabled === false) return text;
+
+  let out = text;
+  const enabled = settings.detectors || Object.keys(DETECTORS);
+  Object.keys(DETECTORS).forEach(name => {
+    if (!enabled.includes(name) || (skipTokens && name === 'token')) return;
+    const detector = DETECTORS[name];
+    out = out.replace(detector.pattern, (m) => (!detector.test || detector.test(m)) ? `[REDACTED:${name}]` : m);
+  });
+
+  compileRules().forEach(rule => {
+    out = out.replace(rule.pattern, rule.replacement);
+  });
+
+  return out;
+}
+
+/**
+ * Whether a parameter / field name looks like it holds a secret
+ * (its value is dropped rather than pattern-redacted)
+ * @param {string} name - Query parameter, header or JSON key name
+ * @returns {boolean}
+ */
+export function isSensitiveName(name) {
+  if (typeof name !== 'string') return false;
+  // accessToken -> access_Token, X-Api-Key -> X_Api_Key
+  const parts = name.trim().replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[\s.-]+/g, '_');
+  return SENSITIVE_EXACT.test(parts) || SENSITIVE_PART.test(parts);
+}
+
+function redactParams(params, keepParams) {
+  return params.split('&').map(pair => {
+    if (!pair) return pair;
+    const idx = pair.indexOf('=');
+    if (idx === -1) return pair;
+    const name = pair.slice(0, idx);
+    let value;
+    try {
+      value = decodeURIComponent(pair.slice(idx + 1).replace(/\+/g, ' '));
+    } catch (e) {
+      value = pair.slice(idx + 1);
+    }
+    if (isSensitiveName(name)) return `${name}=[REDACTED]`;
+    const redacted = redactText(value, !!keepParams && keepParams.includes(name));
+    return redacted === value ? pair : `${name}=${redacted}`;
+  }).join('&');
+}
+
+/**
+ * Redact a URL: sensitive query/fragment params are dropped, other values
+ * and the path go through redactText()
+ * @param {string} url - URL to redact
+ * @param {Array<string>} keepParams - Params exempt from the token detector
+ *   (campaign parameters and ad click IDs)
+ * @returns {string} Redacted URL
+ */
+export function redactUrl(url, keepParams) {
+  if (typeof url !== 'string' || !url) return url;
+  if (redactionConfig().enabled === false) return url;
+
+  const hashIdx = url.indexOf('#');
+  const beforeHash = hashIdx === -1 ? url : url.slice(0, hashIdx);
+  const hash = hashIdx === -1 ? null : url.slice(hashIdx + 1);
+  const queryIdx = beforeHash.indexOf('?');
+  const path = queryIdx === -1 ? beforeHash : beforeHash.slice(0, queryIdx);
+  const query = queryIdx === -1 ? null : beforeHash.slice(queryIdx + 1);
+
+  let out = redactText(path);
+  if (query !== null) out += '?' + redactParams(query, keepParams);
+  if (hash !== null) {
+    // Fragments are often used for OAuth tokens (#access_token=...)
+    out += '#' + (hash.includes('=') ? redactParams(hash, keepParams) : redactText(hash));
+  }
+  return out;
+}
+
+// keep: { params, keys } from redactEvent(); exempt is set below a kept key
+function redactValue(value, key, depth, keep, exempt) {
+  if (typeof value === 'string') {
+    if (URL_KEYS.includes(key)) return redactUrl(value, keep.params);
+    return redactText(value, exempt);
+  }
+  if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return value;
+  if (Array.isArray(value)) {
+    return value.map(v => redactValue(v, key, depth + 1, keep, exempt));
+  }
+  const out = {};
+  Object.keys(value).forEach(k => {
+    out[k] = redactValue(value[k], k, depth + 1, keep, exempt || (!!keep.keys && keep.keys.includes(k)));
+  });
+  return out;
+}
+
+/**
+ * Redact every string in an event (URLs in page_url / referrer / event_data)
+ * @param {Object} ev - Event about to be queued
+ * @param {Object} keep - Values exempt from the token detector (other
+ *   detectors still apply): { params: URL query params, keys: event_data
+ *   keys whose whole subtree is exempt }
+ * @returns {Object} Redacted copy of the event
+ */
+export function redactEvent(ev, keep) {
+  if (redactionConfig().enabled === false) return ev;
+  const exempt = keep || {};
+  try {
+    return Object.assign({}, ev, {
+      page_url: redactUrl(ev.page_url, exempt.params),
+      referrer: redactUrl(ev.referrer, exempt.params),
+      event_data: redactValue(ev.event_data, null, 0, exempt, false)
+    });
+  } catch (e) {
+    if (config.debug) console.warn('[weblayer] Failed to redact event:', e);
+    return ev;
+  }
+}
+
+function markedAncestor(node, attr) {
+  const el = node && node.nodeType === 1 ? node : node && node.parentElement;
+  return !!(el && el.closest && el.closest(`[${attr}]`));
+}
+
+/**
+ * Whether the node sits inside a data-weblayer-ignore subtree
+ */
+export function isIgnored(node) {
+  return markedAncestor(node, IGNORE_ATTR);
+}
+
+/**
+ * Whether the node sits inside a data-weblayer-mask subtree
+ */
+export function isMasked(node) {
+  return markedAncestor(node, MASK_ATTR);
+}
+
+/**
+ * Replace every non-whitespace character with '*' (keeps the text shape)
+ */
+export function maskText(text) {
+  return typeof text === 'string' ? text.replace(/\S/g, '*') : text;
+}
+
+/**
+ * Text content of a node (element or fragment) honouring the marking attributes:
+ * ignored subtrees are dropped, masked subtrees are replaced with '*'
+ * @param {Node} root - Element or DocumentFragment
+ * @param {number} maxChars - Stop collecting after this many characters
+ * @returns {string|null}
+ */
+export function elementText(root, maxChars = 1000) {
+  if (!root) return null;
+  if (isIgnored(root)) return null;
+
+  const maskAll = isMasked(root);
+  const hasMarked = root.querySelector && root.querySelector(MARKED_SELECTOR);
+  if (!hasMarked) {
+    const text = root.textContent;
+    return maskAll ? maskText(text) : text;
+  }
+
+  let out = '';
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let node = walker.nextNode();
+  while (node && out.length < maxChars) {
+    const parent = node.parentElement;
+    if (!(parent && parent.closest(`[${IGNORE_ATTR}]`))) {
+      const masked = maskAll || (parent && parent.closest(`[${MASK_ATTR}]`));
+      out += masked ? maskText(node.nodeValue) : node.nodeValue;
+    }
+    node = walker.nextNode();
+  }
+  return out;
+}
+
+/**
+ * Text of a selection Range honouring the marking attributes
+ * @param {Range} range - Selected range
+ * @returns {string|null}
+ */
+export function rangeText(range) {
+  if (!range) return null;
+  const container = range.commonAncestorContainer;
+  if (isIgnored(container)) return null;
+  if (isMasked(container)) return maskText(range.toString());
+  try {
+    return elementText(range.cloneContents());
+  } catch (e) {
+    return range.toString();
+  }
+}
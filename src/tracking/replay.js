@@ -0,0 +1,470 @@
+import { redactText, redactUrl, isIgnored, isMasked, maskText } from './redaction.js';
+import { jsonSize } from './json-size.js';
+
+/**
+ * Session replay recorder (opt-in)
+ * Records a full DOM snapshot, then incremental changes, as compact array
+ * records `[type, t, ...data]` where t is ms since the recording started:
+ *
+ *   [0, t, { url, width, height }]     meta (again whenever the URL changes)
+ *   [1, t, { doctype, id, root, scroll }]  full snapshot (id: the document's id)
+ *   [2, t, { r, a, at, tx }]           mutations: removed ids, added [parentId, nextId, node],
+ *                                      attributes [id, name, value|null], texts [id, text]
+ *   [3, t, id, value]                  input value (string) or checked state (boolean)
+ *   [4, t, id, x, y]                   scroll position of the document or an element
+ *   [5, t, [[x, y, dt], ...]]          mouse positions (dt: ms after t)
+ *   [6, t, id, x, y]                   click
+ *   [7, t, width, height]              viewport resize
+ *
+ * Nodes are [id, tag, attributes, children] for elements and [id, '#text', text]
+ * for text nodes; ids are assigned per recording. Mutations are applied in
+ * order removals, additions (inserted before nextId, appended when null),
+ * attributes, texts.
+ *
+ * Privacy: data-weblayer-ignore subtrees become empty placeholders of the same
+ * size, data-weblayer-mask text and (by default) every input value is masked,
+ * other text, data-* values and URLs go through redaction, scripts and event
+ * handlers are dropped.
+ */
+
+const META = 0;
+const SNAPSHOT = 1;
+const MUTATION = 2;
+const INPUT = 3;
+const SCROLL = 4;
+const MOUSE = 5;
+const CLICK = 6;
+const VIEWPORT = 7;
+
+const DEFAULTS = {
+  maskAllInputs: true,
+  mouseMoveIntervalMs: 50, // min time between two recorded mouse positions
+  flushIntervalMs: 5000,
+  maxChunkBytes: 256 * 1024 // flush early once the buffer gets this big (approximate)
+};
+
+const THROTTLE_MS = 100; // scroll / resize are recorded at most this often
+const MOUSE_BATCH_MS = 500; // mouse positions are grouped into one record per batch
+
+const SKIP_CHILDREN = ['script', 'noscript', 'template'];
+const URL_ATTRS = ['src', 'href', 'action', 'poster', 'data'];
+const TEXT_ATTRS = ['title', 'alt', 'placeholder', 'aria-label'];
+
+function tagOf(node) {
+  return node && node.tagName ? node.tagName.toLowerCase() : '';
+}
+
+function isFormField(el) {
+  const tag = tagOf(el);
+  return tag === 'input' || tag === 'textarea' || tag === 'select';
+}
+
+/**
+ * @param {Object} options - { maskAllInputs, mouseMoveIntervalMs, flushIntervalMs, maxChunkBytes }
+ * @param {Function} upload - (chunk, unload) => void; chunk is
+ *   { ...context, seq, started_at, events }
+ * @returns {{start: Function, stop: Function, flush: Function, isRecording: Function}}
+ */
+export function createReplayRecorder(options, upload) {
+  const settings = Object.assign({}, DEFAULTS, options || {});
+
+  let ids = new WeakMap();
+  let nextId = 1;
+  let context = null;
+  let startedAt = 0;
+  let seq = 0;
+  let buffer = [];
+  let bufferBytes = 0;
+  let lastUrl = null;
+  let observer = null;
+  let listeners = [];
+  let flushTimer = null;
+
+  let mouse = [];
+  let mouseStart = 0;
+  let lastMouseTime = 0;
+  let mouseTimer = null;
+
+  let scrollTargets = new Set();
+  let scrollTimer = null;
+  let resizeTimer = null;
+  let lastValues = new WeakMap();
+
+  function now() {
+    return Date.now() - startedAt;
+  }
+
+  function idOf(node) {
+    let id = ids.get(node);
+    if (!id) {
+      id = nextId++;
+      ids.set(node, id);
+    }
+    return id;
+  }
+
+  function record(entry) {
+    buffer.push(entry);
+    bufferBytes += jsonSize(entry);
+    if (bufferBytes >= settings.maxChunkBytes) flush(false);
+  }
+
+  // --- serialization -------------------------------------------------------
+
+  function shouldMaskInput(el) {
+    const type = (el.type || '').toLowerCase();
+    const autocomplete = (el.getAttribute('autocomplete') || '').toLowerCase();
+    return settings.maskAllInputs !== false || type === 'password' || autocomplete.indexOf('cc-') === 0 || isMasked(el);
+  }
+
+  function inputValue(el) {
+    const value = el.value == null ? '' : String(el.value);
+    return shouldMaskInput(el) ? maskText(value) : redactText(value);
+  }
+
+  function textOf(node) {
+    const value = node.nodeValue || '';
+    const parent = node.parentElement;
+    if (!/\S/.test(value)) return value;
+    if (tagOf(parent) === 'style') return value;
+    if (tagOf(parent) === 'textarea') return shouldMaskInput(parent) ? maskText(value) : redactText(value);
+    return isMasked(node) ? maskText(value) : redactText(value);
+  }
+
+  // null: attribute not recorded
+  function attributeValue(el, name, value) {
+    if (value === null) return null;
+    if (/^on/i.test(name)) return null;
+    if (name === 'value' && isFormField(el)) return inputValue(el);
+    if (URL_ATTRS.includes(name)) return redactUrl(value);
+    if (TEXT_ATTRS.includes(name)) return isMasked(el) ? maskText(value) : redactText(value);
+    // data-* often carries ids, emails and other app state (our own markers are kept)
+    if (/^data-/i.test(name) && !/^data-weblayer-/i.test(name)) return isMasked(el) ? maskText(value) : redactText(value);
+    return value;
+  }
+
+  function attributesOf(el) {
+    const out = {};
+    for (let i = 0; i < el.attributes.length; i++) {
+      const attr = el.attributes[i];
+      const value = attributeValue(el, attr.name, attr.value);
+      if (value !== null) out[attr.name] = value;
+    }
+    // Current form state lives in properties, not attributes
+    if (isFormField(el)) {
+      const type = (el.type || '').toLowerCase();
+      if (type === 'checkbox' || type === 'radio') {
+        if (el.checked) out.checked = '';
+        else delete out.checked;
+      } else if (type !== 'file') {
+        out.value = inputValue(el);
+      }
+    }
+    return out;
+  }
+
+  function placeholder(el) {
+    const rect = el.getBoundingClientRect();
+    const out = { 'data-weblayer-ignore': '', style: `width:${Math.round(rect.width)}px;height:${Math.round(rect.height)}px` };
+    if (el.id) out.id = el.id;
+    if (el.getAttribute('class')) out.class = el.getAttribute('class');
+    return out;
+  }
+
+  function serialize(node) {
+    if (node.nodeType === 3) return [idOf(node), '#text', textOf(node)];
+    if (node.nodeType !== 1) return null;
+
+    const tag = tagOf(node);
+    const id = idOf(node);
+    if (isIgnored(node)) return [id, tag, placeholder(node), []];
+
+    const children = [];
+    if (!SKIP_CHILDREN.includes(tag)) {
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        const serialized = serialize(child);
+        if (serialized) children.push(serialized);
+      }
+    }
+    return [id, tag, attributesOf(node), children];
+  }
+
+  function recordMeta() {
+    lastUrl = window.location.href;
+    record([META, now(), { url: redactUrl(lastUrl), width: window.innerWidth, height: window.innerHeight }]);
+  }
+
+  function snapshot() {
+    record([SNAPSHOT, now(), {
+      doctype: document.doctype ? document.doctype.name : null,
+      id: idOf(document),
+      root: serialize(document.documentElement),
+      scroll: [Math.round(window.scrollX), Math.round(window.scrollY)]
+    }]);
+  }
+
+  // --- incremental changes -------------------------------------------------
+
+  function recordable(node) {
+    return ids.has(node) && document.contains(node) && !isIgnored(node);
+  }
+
+  function onMutations(mutations) {
+    if (window.location.href !== lastUrl) recordMeta();
+
+    const removed = [];
+    const added = new Set();
+    const attributes = new Map(); // node -> Set of names
+    const texts = new Set();
+
+    mutations.forEach(mutation => {
+      if (mutation.type === 'childList') {
+        mutation.removedNodes.forEach(node => {
+          added.delete(node);
+          if (ids.has(node) && ids.has(mutation.target)) removed.push(ids.get(node));
+        });
+        mutation.addedNodes.forEach(node => added.add(node));
+      } else if (mutation.type === 'attributes') {
+        if (!attributes.has(mutation.target)) attributes.set(mutation.target, new Set());
+        attributes.get(mutation.target).add(mutation.attributeName);
+      } else if (mutation.type === 'characterData') {
+        texts.add(mutation.target);
+      }
+    });
+
+    // Topmost added nodes only: descendants are serialized with them
+    const hasAddedAncestor = (node) => {
+      for (let p = node.parentNode; p; p = p.parentNode) {
+        if (added.has(p)) return true;
+      }
+      return false;
+    };
+    const done = new Set();
+    const nextIdOf = (node) => {
+      for (let n = node.nextSibling; n; n = n.nextSibling) {
+        if (ids.has(n) && (!added.has(n) || done.has(n))) return ids.get(n);
+      }
+      return null;
+    };
+
+    const adds = [];
+    added.forEach(node => {
+      const parent = node.parentNode;
+      if (!parent || !document.contains(node) || hasAddedAncestor(node)) return;
+      if (!ids.has(parent) || isIgnored(parent) || SKIP_CHILDREN.includes(tagOf(parent))) return;
+      const serialized = serialize(node);
+      if (!serialized) return;
+      adds.push([ids.get(parent), nextIdOf(node), serialized]);
+      done.add(node);
+    });
+
+    const attrs = [];
+    attributes.forEach((names, el) => {
+      if (added.has(el) || !recordable(el)) return;
+      names.forEach(name => {
+        if (/^on/i.test(name)) return;
+        attrs.push([ids.get(el), name, attributeValue(el, name, el.getAttribute(name))]);
+      });
+    });
+
+    const textChanges = [];
+    texts.forEach(node => {
+      if (added.has(node) || !recordable(node)) return;
+      textChanges.push([ids.get(node), textOf(node)]);
+    });
+
+    if (!removed.length && !adds.length && !attrs.length && !textChanges.length) return;
+    const data = {};
+    if (removed.length) data.r = removed;
+    if (adds.length) data.a = adds;
+    if (attrs.length) data.at = attrs;
+    if (textChanges.length) data.tx = textChanges;
+    record([MUTATION, now(), data]);
+  }
+
+  function onInput(e) {
+    const el = e.target;
+    if (!isFormField(el) || !recordable(el)) return;
+    const type = (el.type || '').toLowerCase();
+    if (type === 'file') return;
+
+    const value = type === 'checkbox' || type === 'radio' ? !!el.checked : inputValue(el);
+    if (lastValues.get(el) === value) return;
+    lastValues.set(el, value);
+    record([INPUT, now(), ids.get(el), value]);
+
+    // The rest of a radio group was unchecked without an event
+    if (type === 'radio' && el.checked && el.name) {
+      const group = document.getElementsByName(el.name);
+      for (let i = 0; i < group.length; i++) {
+        const other = group[i];
+        if (other !== el && (other.type || '').toLowerCase() === 'radio' && ids.has(other) && lastValues.get(other) !== false) {
+          lastValues.set(other, false);
+          record([INPUT, now(), ids.get(other), false]);
+        }
+      }
+    }
+  }
+
+  function recordScrolls() {
+    scrollTimer = null;
+    scrollTargets.forEach(target => {
+      if (target === document) {
+        record([SCROLL, now(), ids.get(document), Math.round(window.scrollX), Math.round(window.scrollY)]);
+      } else if (recordable(target)) {
+        record([SCROLL, now(), ids.get(target), Math.round(target.scrollLeft), Math.round(target.scrollTop)]);
+      }
+    });
+    scrollTargets.clear();
+  }
+
+  function onScroll(e) {
+    scrollTargets.add(e.target === document || e.target === window ? document : e.target);
+    if (!scrollTimer) scrollTimer = setTimeout(recordScrolls, THROTTLE_MS);
+  }
+
+  function recordMouse() {
+    clearTimeout(mouseTimer);
+    mouseTimer = null;
+    if (!mouse.length) return;
+    record([MOUSE, mouseStart, mouse]);
+    mouse = [];
+  }
+
+  function onMouseMove(e) {
+    const t = now();
+    if (t - lastMouseTime < settings.mouseMoveIntervalMs) return;
+    lastMouseTime = t;
+    if (!mouse.length) mouseStart = t;
+    mouse.push([Math.round(e.clientX), Math.round(e.clientY), t - mouseStart]);
+    if (!mouseTimer) mouseTimer = setTimeout(recordMouse, MOUSE_BATCH_MS);
+  }
+
+  function onClick(e) {
+    const target = e.target && ids.has(e.target) ? ids.get(e.target) : null;
+    record([CLICK, now(), target, Math.round(e.clientX), Math.round(e.clientY)]);
+  }
+
+  function onResize() {
+    if (resizeTimer) return;
+    resizeTimer = setTimeout(() => {
+      resizeTimer = null;
+      record([VIEWPORT, now(), window.innerWidth, window.innerHeight]);
+    }, THROTTLE_MS);
+  }
+
+  function on(target, type, handler) {
+    const wrapped = (e) => {
+      try {
+        handler(e);
+      } catch (err) {
+        // Recording must never break the page
+      }
+    };
+    const opts = { capture: true, passive: true };
+    target.addEventListener(type, wrapped, opts);
+    listeners.push(() => target.removeEventListener(type, wrapped, opts));
+  }
+
+  // --- upload --------------------------------------------------------------
+
+  function flush(unload) {
+    if (!context) return;
+    recordMouse();
+    if (!buffer.length) return;
+    const chunk = Object.assign({}, context, { seq: seq++, started_at: startedAt, events: buffer });
+    buffer = [];
+    bufferBytes = 0;
+    upload(chunk, !!unload);
+  }
+
+  return {
+    /**
+     * Start a recording: snapshot now, changes from here on
+     * @param {Object} ctx - Fields added to every chunk (e.g. session_id)
+     */
+    start(ctx) {
+      if (context) return;
+      context = Object.assign({}, ctx);
+      ids = new WeakMap();
+      nextId = 1;
+      seq = 0;
+      buffer = [];
+      bufferBytes = 0;
+      lastValues = new WeakMap();
+      lastMouseTime = -Infinity;
+      startedAt = Date.now();
+
+      recordMeta();
+      snapshot();
+
+      observer = new MutationObserver((mutations) => {
+        try {
+          onMutations(mutations);
+        } catch (e) {
+          // Recording must never break the page
+        }
+      });
+      observer.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+
+      on(document, 'input', onInput);
+      on(document, 'change', onInput);
+      on(document, 'scroll', onScroll);
+      on(document, 'mousemove', onMouseMove);
+      on(document, 'click', onClick);
+      on(window, 'resize', onResize);
+
+      flushTimer = setInterval(() => flush(false), settings.flushIntervalMs);
+      flush(false); // The snapshot goes out right away
+    },
+
+    /**
+     * Stop recording
+     * @param {boolean} keep - Upload what's buffered (false: discard it)
+     */
+    stop(keep) {
+      if (!context) return;
+      if (keep) {
+        try {
+          onMutations(observer.takeRecords());
+          recordScrolls();
+        } catch (e) {
+          // Ignore
+        }
+        flush(false);
+      }
+      observer.disconnect();
+      observer = null;
+      listeners.forEach(remove => remove());
+      listeners = [];
+      clearInterval(flushTimer);
+      clearTimeout(mouseTimer);
+      clearTimeout(scrollTimer);
+      clearTimeout(resizeTimer);
+      flushTimer = mouseTimer = scrollTimer = resizeTimer = null;
+      mouse = [];
+      scrollTargets.clear();
+      buffer = [];
+      bufferBytes = 0;
+      context = null;
+    },
+
+    /**
+     * Upload what's buffered
+     * @param {boolean} unload - Page is being torn down (beacon / keepalive)
+     */
+    flush(unload) {
+      if (!context) return;
+      try {
+        onMutations(observer.takeRecords());
+      } catch (e) {
+        // Ignore
+      }
+      flush(unload);
+    },
+
+    isRecording() {
+      return !!context;
+    }
+  };
+}
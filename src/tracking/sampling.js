@@ -0,0 +1,137 @@
+import config from '../config.js';
+import { hasConsent } from '../consent.js';
+
+/**
+ * Per-event-type sampling and per-session volume caps
+ *
+ * config.sampling = {
+ *   sessionRate: 0.5,                           // keep 50% of sessions
+ *   events: {
+ *     hover: { rate: 0.1, maxPerSession: 200 }, // by event_type
+ *     'visibility.active_time_update': { maxPerSession: 20 } // or event_type.event_name
+ *   }
+ * }
+ *
+ * Decisions are deterministic per session_id (hash-based), so a session is
+ * either fully in or fully out for a given rate. Kept events carry
+ * `sample_rate` (session rate x type rate) so counts can be re-weighted.
+ */
+
+const COUNTS_KEY = 'weblayer_sample_counts';
+
+let counts = null; // { session_id, by_key: { key: n }, capped: { key: true } }
+
+// FNV-1a 32-bit hash mapped to [0, 1)
+function hashToUnit(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) / 4294967296;
+}
+
+function inSample(seed, rate) {
+  if (rate >= 1) return true;
+  if (rate <= 0) return false;
+  return hashToUnit(seed) < rate;
+}
+
+function normalizeRate(rate) {
+  return typeof rate === 'number' && isFinite(rate) ? Math.min(1, Math.max(0, rate)) : 1;
+}
+
+function loadCounts(sessionId) {
+  if (counts && counts.session_id === sessionId) return counts;
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(COUNTS_KEY) || 'null');
+    if (stored && stored.session_id === sessionId) {
+      counts = stored;
+      return counts;
+    }
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+  counts = { session_id: sessionId, by_key: {}, capped: {} };
+  return counts;
+}
+
+function saveCounts() {
+  if (!hasConsent('analytics')) return;
+  try {
+    sessionStorage.setItem(COUNTS_KEY, JSON.stringify(counts));
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
+
+function ruleFor(ev, rules) {
+  const specific = `${ev.event_type}.${ev.event_name}`;
+  if (rules[specific]) return { key: specific, rule: rules[specific] };
+  if (rules[ev.event_type]) return { key: ev.event_type, rule: rules[ev.event_type] };
+  return null;
+}
+
+/**
+ * Decide whether an event is kept
+ * Sets ev.sample_rate on kept events.
+ * @param {Object} ev - Event with session_id, event_type and event_name
+ * @returns {{keep: boolean, capReached: string|null}} capReached is the rule key
+ *   the first time its per-session cap is hit (so the caller can report it once)
+ */
+export function applySampling(ev) {
+  const settings = config.sampling || {};
+  const sessionId = ev.session_id || '';
+  const sessionRate = normalizeRate(settings.sessionRate);
+
+  if (!inSample(sessionId, sessionRate)) return { keep: false, capReached: null };
+
+  const match = ruleFor(ev, settings.events || {});
+  if (!match) {
+    ev.sample_rate = sessionRate;
+    return { keep: true, capReached: null };
+  }
+
+  const typeRate = normalizeRate(match.rule.rate);
+  if (!inSample(`${sessionId}:${match.key}`, typeRate)) return { keep: false, capReached: null };
+
+  const max = match.rule.maxPerSession;
+  if (typeof max === 'number') {
+    const state = loadCounts(sessionId);
+    const seen = state.by_key[match.key] || 0;
+    if (seen >= max) {
+      const first = !state.capped[match.key];
+      state.capped[match.key] = true;
+      if (first) saveCounts();
+      return { keep: false, capReached: first ? match.key : null };
+    }
+    state.by_key[match.key] = seen + 1;
+    saveCounts();
+  }
+
+  ev.sample_rate = sessionRate * typeRate;
+  return { keep: true, capReached: null };
+}
+
+/** Drop the stored per-session counts (consent revoked) */
+export function clearSampleCounts() {
+  counts = null;
+  try {
+    sessionStorage.removeItem(COUNTS_KEY);
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
+
+/**
+ * Whether the given session is kept by the session-level rate, and by a
+ * feature's own rate when given (for modules with their own streams, e.g. replay)
+ * @param {string} sessionId - Session to check
+ * @param {string} [key] - Feature the extra rate applies to
+ * @param {number} [rate] - The feature's rate
+ */
+export function isSessionSampled(sessionId, key, rate) {
+  const settings = config.sampling || {};
+  if (!inSample(sessionId || '', normalizeRate(settings.sessionRate))) return false;
+  return key ? inSample(`${sessionId || ''}:${key}`, normalizeRate(rate)) : true;
+}
@@ -0,0 +1,197 @@
+import { isMasked } from './redaction.js';
+
+/**
+ * Stable selectors for event targets
+ * cssSelector() builds the shortest selector it can that matches only the
+ * element, preferring attributes that survive rebuilds and restyling:
+ *   data-testid (and friends) > id > ARIA role / label > name, title, ... >
+ *   non-generated classes > :nth-of-type()
+ * Generated IDs (React useId, numeric suffixes) and hashed / utility classes
+ * (CSS modules, styled-components, Tailwind) are skipped.
+ * xpath() returns an XPath anchored the same way.
+ */
+
+const TEST_ATTRS = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+const STABLE_ATTRS = ['name', 'title', 'alt', 'placeholder', 'for', 'href', 'type'];
+// Attributes that can hold page text, not used inside data-weblayer-mask
+const TEXT_ATTRS = ['aria-label', 'title', 'alt', 'placeholder'];
+const MAX_DEPTH = 6; // Ancestors walked before falling back to a full path
+const MAX_VALUE_LENGTH = 100; // Longer attribute values aren't used
+const CACHE_MS = 2000; // Selectors reused for repeated events on the same element
+
+// :r1:, ember123, x-4f3a9c..., 8+ digit / hex runs
+const GENERATED_ID = /^:|\d{3,}|[0-9a-f]{8,}|^(ember|react|radix|headlessui|mui|rc)[-_:]/i;
+// Class names that are hashed or carry a value (css-1x2y3, sc-abc, _a1b2c3, mt-4, w-[20px], md:flex, w-1/2)
+const UNSTABLE_CLASS = /\d|[:[\]/!@]|^(css|sc|jsx|emotion|svelte|astro)-|^_|__[a-z0-9]{5,}$/i;
+
+const cache = new WeakMap(); // element -> { time, selector, xpath }
+
+function cssEscape(value) {
+  if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') return CSS.escape(value);
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, ch => `\\${ch}`);
+}
+
+function attrSelector(name, value) {
+  return `[${name}="${String(value).replace(/["\\]/g, '\\$&')}"]`;
+}
+
+function tagOf(el) {
+  return el.tagName.toLowerCase();
+}
+
+// Document or shadow root the element lives in
+function rootOf(el) {
+  const root = el.getRootNode ? el.getRootNode() : el.ownerDocument;
+  return root && typeof root.querySelectorAll === 'function' ? root : el.ownerDocument;
+}
+
+function matchesOnly(root, selector, el) {
+  try {
+    const found = root.querySelectorAll(selector);
+    return found.length === 1 && found[0] === el;
+  } catch (e) {
+    return false; // invalid selector
+  }
+}
+
+function usableValue(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.length <= MAX_VALUE_LENGTH;
+}
+
+function stableClasses(el) {
+  if (typeof el.className !== 'string') return []; // SVGAnimatedString
+  return el.className.trim().split(/\s+/).filter(c => c && !UNSTABLE_CLASS.test(c));
+}
+
+// Selectors for el on its own, best first
+function candidates(el) {
+  const tag = tagOf(el);
+  const masked = isMasked(el);
+  const usable = (name, value) => usableValue(value) && !(masked && TEXT_ATTRS.includes(name));
+  const list = [];
+  TEST_ATTRS.forEach(name => {
+    const value = el.getAttribute(name);
+    if (usableValue(value)) list.push(attrSelector(name, value));
+  });
+  if (usableValue(el.id) && !GENERATED_ID.test(el.id)) list.push(`#${cssEscape(el.id)}`);
+  const role = el.getAttribute('role');
+  const label = el.getAttribute('aria-label');
+  if (usable('aria-label', label)) {
+    list.push(usableValue(role) ? `${attrSelector('role', role)}${attrSelector('aria-label', label)}` : `${tag}${attrSelector('aria-label', label)}`);
+  }
+  STABLE_ATTRS.forEach(name => {
+    const value = el.getAttribute(name);
+    // hrefs with a query or fragment may carry tokens
+    if (usable(name, value) && !(name === 'href' && /^javascript:|[?#]/i.test(value))) list.push(`${tag}${attrSelector(name, value)}`);
+  });
+  if (usableValue(role)) list.push(`${tag}${attrSelector('role', role)}`);
+  const classes = stableClasses(el).slice(0, 2);
+  if (classes.length) list.push(tag + classes.map(c => `.${cssEscape(c)}`).join(''));
+  return list;
+}
+
+// Step used when el isn't unique on its own: tag, plus position among same-tag siblings
+function positionalStep(el) {
+  const tag = tagOf(el);
+  const parent = el.parentElement;
+  if (!parent) return tag;
+  const same = Array.prototype.filter.call(parent.children, child => child.tagName === el.tagName);
+  return same.length > 1 ? `${tag}:nth-of-type(${same.indexOf(el) + 1})` : tag;
+}
+
+// html > body > div:nth-of-type(2) > ... (always unique)
+function fullPath(el) {
+  const parts = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) parts.unshift(positionalStep(node));
+  return parts.join(' > ');
+}
+
+/**
+ * Short unique CSS selector
+ * @param {Element} el - Target element
+ * @returns {string|null}
+ */
+export function cssSelector(el) {
+  if (!el || el.nodeType !== 1) return null;
+  const root = rootOf(el);
+  const steps = [];
+  let positional = null; // shortest unique path of tags, used when no ancestor has an anchor
+  let node = el;
+  for (let depth = 0; node && node.nodeType === 1 && depth < MAX_DEPTH; depth++) {
+    const prefix = steps.length ? ' > ' + steps.join(' > ') : '';
+    const anchor = candidates(node).find(candidate => matchesOnly(root, candidate + prefix, el));
+    if (anchor) return anchor + prefix;
+    steps.unshift(positionalStep(node));
+    if (!positional && matchesOnly(root, steps.join(' > '), el)) positional = steps.join(' > ');
+    node = node.parentElement;
+  }
+  return positional || fullPath(el);
+}
+
+function xpathString(value) {
+  if (value.indexOf('"') === -1) return `"${value}"`;
+  if (value.indexOf("'") === -1) return `'${value}'`;
+  return null;
+}
+
+function xpathStep(el) {
+  const name = el.namespaceURI && el.namespaceURI !== 'http://www.w3.org/1999/xhtml'
+    ? `*[name()="${el.tagName.toLowerCase()}"]`
+    : tagOf(el);
+  const parent = el.parentElement;
+  if (!parent) return name;
+  const same = Array.prototype.filter.call(parent.children, child => child.tagName === el.tagName);
+  return same.length > 1 ? `${name}[${same.indexOf(el) + 1}]` : name;
+}
+
+// Attribute predicate that identifies el on its own, if any
+function xpathAnchor(el) {
+  const root = rootOf(el);
+  for (let i = 0; i < TEST_ATTRS.length; i++) {
+    const value = el.getAttribute(TEST_ATTRS[i]);
+    const quoted = usableValue(value) && xpathString(value);
+    if (quoted && matchesOnly(root, attrSelector(TEST_ATTRS[i], value), el)) return `//*[@${TEST_ATTRS[i]}=${quoted}]`;
+  }
+  const id = el.id;
+  const quotedId = usableValue(id) && !GENERATED_ID.test(id) && xpathString(id);
+  if (quotedId && matchesOnly(root, `#${cssEscape(id)}`, el)) return `//*[@id=${quotedId}]`;
+  return null;
+}
+
+/**
+ * XPath, anchored at the closest ancestor with a test ID or stable id
+ * (absolute from /html otherwise). Inside shadow roots the path starts at the root.
+ * @param {Element} el - Target element
+ * @returns {string|null}
+ */
+export function xpath(el) {
+  if (!el || el.nodeType !== 1) return null;
+  const steps = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const anchor = xpathAnchor(node);
+    if (anchor) return [anchor].concat(steps).join('/');
+    steps.unshift(xpathStep(node));
+  }
+  return '/' + steps.join('/');
+}
+
+/**
+ * Selector and XPath of an event target (cached briefly per element, as
+ * input / hover events repeat on the same one)
+ * @param {Element} el - Target element
+ * @returns {{selector: string|null, xpath: string|null}}
+ */
+export function describeTarget(el) {
+  if (!el || el.nodeType !== 1) return { selector: null, xpath: null };
+  const now = Date.now();
+  const hit = cache.get(el);
+  if (hit && now - hit.time < CACHE_MS) return { selector: hit.selector, xpath: hit.xpath };
+  let result;
+  try {
+    result = { selector: cssSelector(el), xpath: xpath(el) };
+  } catch (e) {
+    result = { selector: null, xpath: null };
+  }
+  cache.set(el, { time: now, selector: result.selector, xpath: result.xpath });
+  return result;
+}
@@ -0,0 +1,276 @@
+import { hasConsent } from '../consent.js';
+import { CAMPAIGN_PARAMS } from './attribution.js';
+
+/**
+ * Session lifecycle
+ * A session ends after `timeoutMs` without user activity, at local midnight,
+ * and when the page is reached through a different campaign (utm_* / click ID).
+ * Ends and starts are reported as `session` / `session_end` (with a summary of
+ * the session) and `session` / `session_start`.
+ *
+ * Only user activity (clicks, input, scrolling, navigation, ...) keeps a
+ * session alive: background events such as network polling or periodic
+ * active-time updates don't. Background events arriving after a session ended
+ * keep its ID; the next user activity starts a new session.
+ *
+ * State lives in sessionStorage (once analytics consent is granted), so a
+ * session continues across page loads in the same tab.
+ */
+
+const SESSION_ID_KEY = 'weblayer_session_id';
+const SESSION_STATE_KEY = 'weblayer_session';
+
+const DEFAULTS = {
+  timeoutMs: 30 * 60 * 1000,
+  rotateAtMidnight: true,
+  rotateOnCampaignChange: true
+};
+
+// How often the idle / midnight check runs while the page is open
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// event_type or event_type.event_name
+const ACTIVITY_EVENTS = [
+  'click', 'focus', 'form_interaction', 'hover', 'navigation', 'resize', 'scroll',
+  'selection', 'touch', 'custom', 'identity', 'visibility.visible'
+];
+const ERROR_EVENTS = ['error', 'resource_error', 'console.error'];
+const PAGE_VIEW_EVENTS = ['navigation.pushstate', 'navigation.popstate'];
+
+export function generateSessionId() {
+  return `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+}
+
+function dayOf(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+
+function matches(ev, list) {
+  return list.includes(ev.event_type) || list.includes(`${ev.event_type}.${ev.event_name}`);
+}
+
+// Campaign parameters of a URL as a comparable string (null when there are none)
+function campaignKey(url) {
+  try {
+    const params = new URL(url).searchParams;
+    const parts = CAMPAIGN_PARAMS.filter(name => params.get(name)).map(name => `${name}=${params.get(name)}`);
+    return parts.length ? parts.join('&') : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function readState() {
+  try {
+    const state = JSON.parse(sessionStorage.getItem(SESSION_STATE_KEY) || 'null');
+    return state && state.id ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @param {Object} options - { timeoutMs, rotateAtMidnight, rotateOnCampaignChange }
+ * @param {Function} activeTime - () => visible time of the current page so far, in ms
+ * @param {Function} emit - (eventName, sessionId, eventData) => void
+ * @returns {{begin: Function, touch: Function, id: Function, start: Function, end: Function, save: Function, forget: Function, destroy: Function}}
+ */
+export function createSessionTracker(options, activeTime, emit) {
+  const settings = Object.assign({}, DEFAULTS, options || {});
+  let state = null;
+  let pageActiveStart = 0; // activeTime() when it was last added to state.active_ms
+  let checkTimer = null;
+
+  // excludeMs: trailing time that doesn't count (the idle period of a timed-out session)
+  function foldActiveTime(excludeMs) {
+    const now = activeTime();
+    if (!state.ended) state.active_ms += Math.max(0, now - pageActiveStart - (excludeMs || 0));
+    pageActiveStart = now;
+  }
+
+  function persist() {
+    if (!state || !hasConsent('analytics')) return;
+    try {
+      sessionStorage.setItem(SESSION_ID_KEY, state.id);
+      sessionStorage.setItem(SESSION_STATE_KEY, JSON.stringify(state));
+    } catch (e) {
+      // sessionStorage might be disabled
+    }
+  }
+
+  function start(reason, id) {
+    const now = Date.now();
+    const previousId = state ? state.id : null;
+    state = {
+      id: id || generateSessionId(),
+      started_at: now,
+      last_activity: now,
+      day: dayOf(now),
+      campaign: campaignKey(window.location.href),
+      pages: 1,
+      active_ms: 0,
+      event_count: 0,
+      events: {},
+      errors: 0,
+      ended: false,
+      end_reason: null
+    };
+    pageActiveStart = activeTime();
+    persist();
+    emit('session_start', state.id, { reason: reason, previous_session_id: previousId });
+  }
+
+  function end(reason) {
+    if (!state || state.ended) return;
+    foldActiveTime(reason === 'inactivity' ? Date.now() - state.last_activity : 0);
+    state.ended = true;
+    state.end_reason = reason;
+    persist();
+    emit('session_end', state.id, {
+      reason: reason,
+      started_at: new Date(state.started_at).toISOString(),
+      duration_ms: Math.max(0, state.last_activity - state.started_at),
+      pages: state.pages,
+      active_time_ms: Math.round(state.active_ms),
+      event_count: state.event_count,
+      events: state.events,
+      errors: state.errors
+    });
+  }
+
+  function expiryReason(now) {
+    if (now - state.last_activity >= settings.timeoutMs) return 'inactivity';
+    if (settings.rotateAtMidnight && dayOf(now) !== state.day) return 'midnight';
+    return null;
+  }
+
+  function campaignChanged() {
+    if (!settings.rotateOnCampaignChange) return false;
+    const key = campaignKey(window.location.href);
+    return key !== null && key !== state.campaign;
+  }
+
+  function check() {
+    try {
+      if (!state || state.ended) return;
+      const reason = expiryReason(Date.now());
+      if (reason) end(reason);
+      else save();
+    } catch (e) {
+      // Ignore
+    }
+  }
+
+  function save() {
+    if (!state) return;
+    foldActiveTime();
+    persist();
+  }
+
+  return {
+    /**
+     * Continue the tab's session on page load, or start a new one
+     * @returns {string} Session ID
+     */
+    begin() {
+      const stored = readState();
+      let legacyId = null; // ID stored by versions without session state
+      try {
+        if (!stored) legacyId = sessionStorage.getItem(SESSION_ID_KEY);
+      } catch (e) {
+        // sessionStorage might be disabled
+      }
+      if (stored && !stored.ended) {
+        state = stored;
+        pageActiveStart = activeTime();
+        const reason = expiryReason(Date.now()) || (campaignChanged() ? 'campaign' : null);
+        if (reason) {
+          end(reason);
+          start(reason);
+        } else {
+          state.pages++;
+          persist();
+        }
+      } else if (stored) {
+        state = stored;
+        start(stored.end_reason || 'new');
+      } else {
+        start('new', legacyId);
+      }
+      checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+      return state.id;
+    },
+
+    /**
+     * Account an event to the session, rotating it first when needed
+     * @param {Object} ev - Event about to be queued
+     * @returns {string} Session ID the event belongs to
+     */
+    touch(ev) {
+      if (!state) return null;
+      if (matches(ev, ACTIVITY_EVENTS)) {
+        const now = Date.now();
+        if (state.ended) {
+          start(state.end_reason || 'new');
+        } else {
+          const reason = expiryReason(now) || (matches(ev, PAGE_VIEW_EVENTS) && campaignChanged() ? 'campaign' : null);
+          if (reason) {
+            end(reason);
+            start(reason);
+          } else if (matches(ev, PAGE_VIEW_EVENTS)) {
+            state.pages++;
+          }
+        }
+        state.last_activity = now;
+      }
+      if (!state.ended) {
+        state.event_count++;
+        state.events[ev.event_type] = (state.events[ev.event_type] || 0) + 1;
+        if (matches(ev, ERROR_EVENTS)) state.errors++;
+      }
+      return state.id;
+    },
+
+    id() {
+      return state ? state.id : null;
+    },
+
+    /**
+     * Start a new session right away (previous one must be ended first)
+     * @param {string} reason - Reported as session_start.reason
+     */
+    start(reason) {
+      start(reason);
+    },
+
+    /**
+     * End the current session now
+     * @param {string} reason - Reported as session_end.reason
+     */
+    end(reason) {
+      end(reason);
+    },
+
+    /** Persist the current state (e.g. at pagehide or once consent is granted) */
+    save() {
+      save();
+    },
+
+    /** Remove the stored session (consent revoked) */
+    forget() {
+      try {
+        sessionStorage.removeItem(SESSION_ID_KEY);
+        sessionStorage.removeItem(SESSION_STATE_KEY);
+      } catch (e) {
+        // sessionStorage might be disabled
+      }
+    },
+
+    destroy() {
+      clearInterval(checkTimer);
+      checkTimer = null;
+      save();
+    }
+  };
+}
@@ -0,0 +1,199 @@
+import config from '../config.js';
+import { gzip } from './compression.js';
+import { buildEnvelope } from './events.js';
+import { deviceContextFor, markDeviceContextSent } from './device.js';
+
+/**
+ * Transport for event batches
+ * - sendBatch(): regular POST used by the periodic flush, gzip-compressed
+ *   when the browser supports CompressionStream
+ * - sendBatchOnUnload(): sendBeacon / fetch keepalive for page teardown,
+ *   where a plain POST is usually cancelled by the browser
+ * - sendReplayChunk(): session replay chunks, on their own endpoint
+ */
+
+// Beacons and keepalive requests share a ~64KB in-flight budget per page,
+// so stay a little below it
+const MAX_BEACON_BYTES = 60 * 1024;
+
+const encoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+
+// Store originals before tracking wraps them, to avoid tracking our own requests
+const origFetch = window.fetch;
+const origSendBeacon = typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function'
+  ? navigator.sendBeacon.bind(navigator)
+  : null;
+
+// UTF-8 size of a string body (upload limits count bytes, not characters)
+function byteLength(text) {
+  return encoder ? encoder.encode(text).length : text.length;
+}
+
+function eventsUrl() {
+  return `${config.apiUrl}/sdk/events`;
+}
+
+function replayUrl() {
+  return `${config.apiUrl}/sdk/replay`;
+}
+
+// JSON body, gzipped when possible (falls back to the plain string)
+async function requestBody(json) {
+  if (config.compressUploads === false) return { body: json, headers: { 'Content-Type': 'application/json' } };
+  let compressed = null;
+  try {
+    compressed = await gzip(json);
+  } catch (e) {
+    compressed = null;
+  }
+  if (!compressed) return { body: json, headers: { 'Content-Type': 'application/json' } };
+  return { body: compressed, headers: { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' } };
+}
+
+/**
+ * Build (and compress) the request for a batch
+ * @param {Array<Object>} batch - Events to send
+ * @returns {Promise<{body, headers, bytes: number, device}>} bytes is the size actually uploaded
+ */
+export async function prepareBatch(batch) {
+  const device = deviceContextFor(batch);
+  const { body, headers } = await requestBody(JSON.stringify(buildEnvelope(batch, device ? { device } : null)));
+  return { body, headers, bytes: typeof body === 'string' ? byteLength(body) : body.byteLength, device };
+}
+
+/**
+ * POST a batch to the events endpoint
+ * Returns true when the batch is done with (delivered, or rejected in a way a
+ * retry won't fix) and false when it should be kept for a later retry.
+ * @param {Array<Object>} batch - Events to send
+ * @param {Object} prepared - Result of prepareBatch(batch), when already built
+ */
+export async function sendBatch(batch, prepared) {
+  try {
+    const { body, headers, device } = prepared || await prepareBatch(batch);
+    const res = await origFetch(eventsUrl(), {
+      method: 'POST',
+      headers: headers,
+      body: body
+    });
+    if (res.ok) {
+      if (device) markDeviceContextSent(batch);
+      return true;
+    }
+    // 4xx (except timeout / rate limit) won't succeed on retry
+    return res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Split events into chunks whose serialized payload fits maxBytes
+ * An event that doesn't fit on its own ends up alone in an oversized chunk.
+ */
+export function chunkBatch(events, maxBytes = MAX_BEACON_BYTES) {
+  const envelopeBytes = JSON.stringify({ events: [] }).length;
+  const chunks = [];
+  let current = [];
+  let currentBytes = envelopeBytes;
+
+  events.forEach(ev => {
+    const evBytes = byteLength(JSON.stringify(ev)) + 1; // +1 for the comma
+    if (current.length && currentBytes + evBytes > maxBytes) {
+      chunks.push(current);
+      current = [];
+      currentBytes = envelopeBytes;
+    }
+    current.push(ev);
+    currentBytes += evBytes;
+  });
+
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+function beacon(body, url = eventsUrl()) {
+  if (!origSendBeacon) return false;
+  try {
+    // text/plain keeps the beacon a CORS "simple" request (no preflight)
+    return origSendBeacon(url, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+  } catch (e) {
+    return false;
+  }
+}
+
+function keepalive(body, onFailure, url = eventsUrl()) {
+  try {
+    origFetch(url, {
+      method: 'POST',
+      // text/plain like the beacon: a preflight may not finish during teardown
+      headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+      body: body,
+      keepalive: true
+    }).then(res => {
+      if (!res.ok && (res.status >= 500 || res.status === 408 || res.status === 429)) onFailure();
+    }, onFailure);
+    return true;
+  } catch (e) {
+    // keepalive not supported or body over the browser's limit
+    return false;
+  }
+}
+
+/**
+ * Hand a batch to the browser so it survives page teardown
+ * Tries sendBeacon per chunk, then fetch keepalive. Sent uncompressed: the
+ * page may be gone before an async compression finishes. Events that could not be
+ * handed off (or that fail later) are passed to onUndelivered.
+ * @param {Array<Object>} batch - Events to send
+ * @param {Function} onUndelivered - Called with events that should be kept for retry
+ */
+export function sendBatchOnUnload(batch, onUndelivered) {
+  const undelivered = [];
+
+  chunkBatch(batch).forEach(chunk => {
+    const device = deviceContextFor(chunk);
+    const body = JSON.stringify(buildEnvelope(chunk, device ? { device } : null));
+    if (byteLength(body) > MAX_BEACON_BYTES) {
+      undelivered.push.apply(undelivered, chunk);
+      return;
+    }
+    if (beacon(body) || keepalive(body, () => onUndelivered(chunk))) {
+      if (device) markDeviceContextSent(chunk);
+      return;
+    }
+    undelivered.push.apply(undelivered, chunk);
+  });
+
+  if (undelivered.length) onUndelivered(undelivered);
+}
+
+/**
+ * Upload a session replay chunk
+ * Regular uploads are best effort. On page teardown, a chunk that can't be
+ * handed to the browser (or fails later) is passed to onUndelivered.
+ * @param {Object} chunk - Replay payload
+ * @param {boolean} unload - Page is being torn down (use sendBeacon / keepalive)
+ * @param {Function} onUndelivered - Called with the chunk when it should be kept for retry
+ * @returns {Promise<boolean>} Whether the chunk is done with (delivered, handed
+ *   to the browser, or rejected in a way a retry won't fix)
+ */
+export async function sendReplayChunk(chunk, unload, onUndelivered = () => {}) {
+  const body = JSON.stringify(chunk);
+  if (unload) {
+    if (byteLength(body) <= MAX_BEACON_BYTES && (beacon(body, replayUrl()) || keepalive(body, () => onUndelivered(chunk), replayUrl()))) return true;
+    onUndelivered(chunk);
+    return false;
+  }
+  try {
+    const res = await origFetch(replayUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body
+    });
+    if (res.ok) return true;
+    return res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+  } catch (e) {
+    return false;
+  }
+}
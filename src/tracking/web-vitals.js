@@ -0,0 +1,177 @@
+/**
+ * Core Web Vitals and page performance collection
+ * Observes LCP, CLS, INP, FCP and TTFB with PerformanceObserver, plus the
+ * navigation timing breakdown. Values are read once, by report(), at pagehide.
+ */
+
+// Interactions shorter than this are not reported as 'event' entries
+const EVENT_DURATION_THRESHOLD = 40;
+
+// CLS session windows: shifts less than 1s apart, for at most 5s
+const CLS_GAP_MS = 1000;
+const CLS_WINDOW_MS = 5000;
+
+function round(value, digits = 0) {
+  const factor = Math.pow(10, digits);
+  return typeof value === 'number' && isFinite(value) ? Math.round(value * factor) / factor : null;
+}
+
+/**
+ * Start observing performance entries
+ * @param {Function} describeElement - (element) => string selector, for attribution
+ * @returns {{report: Function, destroy: Function}}
+ */
+export function createPerformanceCollector(describeElement) {
+  const observers = [];
+  const describe = (el) => {
+    try {
+      return el ? describeElement(el) : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  let lcp = null;
+  let fcp = null;
+  let cls = { value: 0, source: null };
+  let clsWindow = { value: 0, start: 0, last: 0, largest: null };
+  const interactions = {}; // interactionId -> { duration, type, target }
+
+  function observe(type, onEntries, extra) {
+    if (typeof PerformanceObserver === 'undefined') return;
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return;
+    try {
+      const observer = new PerformanceObserver((list) => onEntries(list.getEntries()));
+      observer.observe(Object.assign({ type: type, buffered: true }, extra || {}));
+      observers.push({ observer, onEntries });
+    } catch (e) {
+      // Entry type not supported in this browser
+    }
+  }
+
+  observe('paint', (entries) => {
+    entries.forEach(entry => {
+      if (entry.name === 'first-contentful-paint') fcp = entry.startTime;
+    });
+  });
+
+  observe('largest-contentful-paint', (entries) => {
+    const entry = entries[entries.length - 1];
+    if (!entry) return;
+    lcp = {
+      value: entry.startTime,
+      element: describe(entry.element),
+      url: entry.url || null,
+      size: entry.size || null
+    };
+  });
+
+  observe('layout-shift', (entries) => {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+
+      const continues = clsWindow.value > 0 &&
+        entry.startTime - clsWindow.last < CLS_GAP_MS &&
+        entry.startTime - clsWindow.start < CLS_WINDOW_MS;
+      if (!continues) {
+        clsWindow = { value: 0, start: entry.startTime, last: entry.startTime, largest: null };
+      }
+      clsWindow.value += entry.value;
+      clsWindow.last = entry.startTime;
+      if (!clsWindow.largest || entry.value > clsWindow.largest.value) {
+        clsWindow.largest = entry;
+      }
+
+      if (clsWindow.value > cls.value) {
+        const sources = clsWindow.largest.sources || [];
+        const node = sources.length ? sources[0].node : null;
+        cls = { value: clsWindow.value, source: describe(node && node.nodeType === 1 ? node : node && node.parentElement) };
+      }
+    });
+  });
+
+  const onInteraction = (entries) => {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+      const current = interactions[entry.interactionId];
+      if (!current || entry.duration > current.duration) {
+        interactions[entry.interactionId] = {
+          duration: entry.duration,
+          type: entry.name,
+          target: entry.target || null
+        };
+      }
+    });
+  };
+  observe('event', onInteraction, { durationThreshold: EVENT_DURATION_THRESHOLD });
+  observe('first-input', onInteraction);
+
+  // INP: worst interaction, ignoring one outlier per 50 interactions
+  function computeInp() {
+    const list = Object.keys(interactions).map(id => interactions[id]).sort((a, b) => b.duration - a.duration);
+    if (!list.length) return null;
+    const worst = list[Math.min(list.length - 1, Math.floor(list.length / 50))];
+    return { value: worst.duration, event_type: worst.type, element: describe(worst.target) };
+  }
+
+  function navigationTiming() {
+    try {
+      const nav = performance.getEntriesByType('navigation')[0];
+      if (!nav) return null;
+      const activation = nav.activationStart || 0;
+      return {
+        type: nav.type,
+        ttfb: round(Math.max(0, nav.responseStart - activation)),
+        redirect: round(nav.redirectEnd - nav.redirectStart),
+        dns: round(nav.domainLookupEnd - nav.domainLookupStart),
+        tcp: round(nav.connectEnd - nav.connectStart),
+        tls: nav.secureConnectionStart > 0 ? round(nav.connectEnd - nav.secureConnectionStart) : null,
+        request: round(nav.responseStart - nav.requestStart),
+        response: round(nav.responseEnd - nav.responseStart),
+        dom_interactive: round(nav.domInteractive),
+        dom_content_loaded: round(nav.domContentLoadedEventEnd),
+        load: nav.loadEventEnd > 0 ? round(nav.loadEventEnd) : null,
+        transfer_size: nav.transferSize || null
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    /**
+     * Snapshot of everything collected so far (null when nothing is available)
+     * @returns {Object|null}
+     */
+    report() {
+      observers.forEach(({ observer, onEntries }) => {
+        try {
+          // Process entries still sitting in the observer buffers
+          if (observer.takeRecords) onEntries(observer.takeRecords());
+        } catch (e) {
+          // Ignore
+        }
+      });
+
+      const navigation = navigationTiming();
+      const inp = computeInp();
+      const data = {
+        lcp: lcp ? { value: round(lcp.value), element: lcp.element, url: lcp.url, size: lcp.size } : null,
+        cls: { value: round(cls.value, 4), element: cls.source },
+        inp: inp ? { value: round(inp.value), event_type: inp.event_type, element: inp.element } : null,
+        fcp: fcp !== null ? round(fcp) : null,
+        ttfb: navigation ? navigation.ttfb : null,
+        navigation: navigation
+      };
+
+      if (!data.lcp && !data.inp && data.fcp === null && !navigation) return null;
+      return data;
+    },
+
+    destroy() {
+      observers.forEach(({ observer }) => observer.disconnect());
+      observers.length = 0;
+    }
+  };
+}
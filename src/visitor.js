@@ -47,52 +47,135 @@ function setCookie(name, value, days = 365) {
   document.cookie = cookieString;
 }
 
+const COOKIE_NAME = 'weblayer_visitor_id';
+const STORAGE_KEY = 'weblayer_visitor_id';
+const USER_ID_KEY = 'weblayer_user_id';
+const ATTRIBUTION_KEY = 'weblayer_attribution';
+
+function generateVisitorId() {
+  return `${Date.now()}_${Math.random().toString(36).slice(2, 15)}`;
+}
+
+/**
+ * Read an existing visitor ID without writing anything
+ */
+function readVisitorId() {
+  const fromCookie = getCookie(COOKIE_NAME);
+  if (fromCookie) return fromCookie;
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    // localStorage might be disabled
+    return null;
+  }
+}
+
+/**
+ * Store visitor ID in both cookie and localStorage
+ */
+export function persistVisitorId(visitorId) {
+  if (!visitorId) return;
+  try {
+    if (getCookie(COOKIE_NAME) !== visitorId) setCookie(COOKIE_NAME, visitorId);
+    localStorage.setItem(STORAGE_KEY, visitorId);
+  } catch (e) {
+    // If both fail, still usable for this page (won't persist)
+  }
+}
+
+/**
+ * Remove visitor ID (and identified user ID, attribution) from cookie and localStorage (consent revoked)
+ */
+export function clearVisitorId() {
+  try {
+    setCookie(COOKIE_NAME, '', -1);
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(USER_ID_KEY);
+    localStorage.removeItem(ATTRIBUTION_KEY);
+  } catch (e) {
+    // localStorage might be disabled
+  }
+}
+
 /**
  * Get or create visitor ID
  * Tries cookie first, falls back to localStorage if cookies unavailable
  * Cookie works across subdomains, localStorage is domain-specific
+ * @param {boolean} persist - Write the ID to cookie/localStorage (false while consent is pending)
  */
-export function getOrCreateVisitorId() {
-  const cookieName = 'weblayer_visitor_id';
-  const storageKey = 'weblayer_visitor_id';
-  
-  // Try to get from cookie (cross-subdomain)
-  let visitorId = getCookie(cookieName);
-  
-  if (visitorId) {
-    // Also store in localStorage as backup
-    try {
-      localStorage.setItem(storageKey, visitorId);
-    } catch (e) {
-      // localStorage might be disabled
-    }
-    return visitorId;
+export function getOrCreateVisitorId(persist = true) {
+  // Try existing ID (cookie first, then localStorage)
+  let visitorId = readVisitorId();
+
+  // Generate new visitor ID
+  if (!visitorId) {
+    visitorId = generateVisitorId();
   }
-  
-  // Try localStorage as fallback
+
+  // Keep cookie and localStorage in sync
+  if (persist) {
+    persistVisitorId(visitorId);
+  }
+
+  return visitorId;
+}
+
+/**
+ * Replace the visitor ID with a fresh one (logout / reset)
+ * @param {boolean} persist - Write the new ID to cookie/localStorage
+ */
+export function rotateVisitorId(persist = true) {
+  const visitorId = generateVisitorId();
+  if (persist) {
+    persistVisitorId(visitorId);
+  }
+  return visitorId;
+}
+
+/**
+ * Identified user ID from a previous identify() call, if any
+ */
+export function getStoredUserId() {
+  try {
+    return localStorage.getItem(USER_ID_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remember (or forget, with null) the identified user ID across page loads
+ */
+export function storeUserId(userId) {
   try {
-    visitorId = localStorage.getItem(storageKey);
-    if (visitorId) {
-      // Sync to cookie if available
-      setCookie(cookieName, visitorId);
-      return visitorId;
+    if (userId) {
+      localStorage.setItem(USER_ID_KEY, userId);
+    } else {
+      localStorage.removeItem(USER_ID_KEY);
     }
   } catch (e) {
     // localStorage might be disabled
   }
-  
-  // Generate new visitor ID
-  visitorId = `${Date.now()}_${Math.random().toString(36).slice(2, 15)}`;
-  
-  // Store in both cookie and localStorage
+}
+
+/**
+ * First / last touch attribution of the visitor ({ visitor_id, first_touch, last_touch })
+ */
+export function getStoredAttribution() {
   try {
-    setCookie(cookieName, visitorId);
-    localStorage.setItem(storageKey, visitorId);
+    return JSON.parse(localStorage.getItem(ATTRIBUTION_KEY) || 'null');
   } catch (e) {
-    // If both fail, still return the ID (won't persist but at least works for this session)
+    return null;
   }
-  
-  return visitorId;
 }
 
-
+/**
+ * Remember the visitor's attribution across visits
+ */
+export function storeAttribution(record) {
+  try {
+    localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(record));
+  } catch (e) {
+    // localStorage might be disabled
+  }
+}
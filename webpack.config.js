@@ -14,6 +14,7 @@ module.exports = {
   plugins: [
     new webpack.DefinePlugin({
       "process.env.API_URL": JSON.stringify(process.env.API_URL || "https://api.weblayer.ai"),
+      "process.env.SDK_VERSION": JSON.stringify(require("./package.json").version),
     }),
   ],
   module: {